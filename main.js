@@ -25,17 +25,6 @@ window.addEventListener('DOMContentLoaded', () => {
     }, 500);
 });
 
-// Handle page visibility changes (pause/resume)
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        console.log('App paused');
-        // Could pause animations, sounds here
-    } else {
-        console.log('App resumed');
-        // Could resume animations, sounds here
-    }
-});
-
 // Handle errors
 window.addEventListener('error', (event) => {
     console.error('Application error:', event.error);
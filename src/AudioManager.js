@@ -1,18 +1,65 @@
 /**
  * AudioManager.js
  * Centralized audio control for all sounds in the experience
+ *
+ * Every sound runs through a gain bus for its category, and every bus
+ * through the master bus:
+ *
+ *   voice → category bus (ambient / effects / music / ui) → master → speakers
+ *
+ * so setCategoryVolume(), setMasterVolume() and setMuted() apply at once,
+ * to sounds already playing too.
+ *
+ * Samples: load(url) fetches an audio file (or takes the bytes AssetManager
+ * preloaded for the scene), decodes it once and caches the AudioBuffer;
+ * play(url, options) starts a one-shot on a category bus. Instead of a URL
+ * both also take a generator from utils/SynthSounds.js.
+ *
+ * Positional sounds: App attaches the THREE.AudioListener to the camera
+ * with attachListener(); SoundEmitters placed on meshes are heard from
+ * there (see SoundEmitter.js).
+ *
+ * Loops: music and ambience each have one looping track at a time.
+ * playMusic(url) / playAmbience(url) cross-fade from whatever that channel
+ * was playing; App calls setSceneAudio() on every scene switch with the
+ * tracks listed in data/sceneAssets.js, so tracks carry on, cross-fade or
+ * fade out as the visitor moves between scenes.
+ *
+ * Synthetic sounds (createTone / playTone, the mechanical hum, the whoosh)
+ * use the same buses.
+ *
+ * The AudioContext can only start after a user gesture, so nothing plays
+ * before init() — which the visitor's first click, tap or key press calls
+ * — and loops requested earlier start then.
  */
 
+import * as THREE from 'three';
+import AssetManager from './core/AssetManager.js';
+
+const LOOP_FADE = 2;   // s, default cross-fade between loops
+export const VOLUME_RAMP = 0.05;   // s, smooths live volume changes (no clicks)
+
+/** Move an AudioParam from its current value to `value` over `seconds`. */
+export function rampTo(param, value, seconds, context) {
+    const now = context.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + Math.max(seconds, 0.01));
+}
+
 export default class AudioManager {
     constructor() {
         this.sounds = new Map();
+        this.buffers = new Map();   // url / generator → Promise<AudioBuffer | null>
         this.audioContext = null;
         this.masterVolume = 1.0;
         this.isMuted = false;
-        
+        this.isSuspended = false;   // by suspend(), until resume()
+
         // Initialize on user interaction (required by browsers)
         this.initialized = false;
-        
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+
         // Sound categories
         this.categories = {
             ambient: 0.6,
@@ -20,26 +67,260 @@ export default class AudioManager {
             music: 0.5,
             ui: 0.7
         };
+
+        // Gain nodes, created in init()
+        this.master = null;
+        this.buses = {};
+
+        // Ears for positional sounds, on the camera from init() on
+        this.camera = null;
+        this.listener = null;
+
+        // One looping track per channel; `url` is what should be playing,
+        // `voice` what is (null until loaded or before init)
+        this.loops = {
+            music:   { url: null, volume: 1, voice: null, token: 0 },
+            ambient: { url: null, volume: 1, voice: null, token: 0 }
+        };
+
+        this.unlockOnGesture();
     }
-    
+
+    /**
+     * Browsers keep an AudioContext silent until the page has been
+     * interacted with; start (or wake) it on the first gesture.
+     */
+    unlockOnGesture() {
+        const events = ['pointerdown', 'touchstart', 'keydown'];
+        const unlock = () => {
+            events.forEach(type => document.removeEventListener(type, unlock, true));
+            this.init();
+            if (!this.isSuspended) this.resume();
+        };
+        events.forEach(type => document.addEventListener(type, unlock, true));
+    }
+
     /**
      * Initialize audio context (must be called after user interaction)
      */
     init() {
         if (this.initialized) return;
-        
+
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+        this.master = this.audioContext.createGain();
+        this.master.gain.value = this.isMuted ? 0 : this.masterVolume;
+        this.master.connect(this.audioContext.destination);
+
+        Object.entries(this.categories).forEach(([category, volume]) => {
+            const bus = this.audioContext.createGain();
+            bus.gain.value = volume;
+            bus.connect(this.master);
+            this.buses[category] = bus;
+        });
+
+        // THREE's audio objects share this context
+        THREE.AudioContext.setContext(this.audioContext);
+        if (this.camera) this.createListener();
+
         this.initialized = true;
-        
+        this.resolveReady();
+
+        // Loops asked for before the first gesture
+        Object.entries(this.loops).forEach(([channel, loop]) => {
+            if (loop.url) this.startLoop(channel, loop.url, loop.volume, LOOP_FADE);
+        });
+
         console.log('AudioManager initialized');
     }
-    
+
+    /**
+     * Hear positional sounds from `camera` (a THREE.Camera).
+     */
+    attachListener(camera) {
+        this.camera = camera;
+        if (this.initialized) this.createListener();
+    }
+
+    createListener() {
+        if (!this.listener) this.listener = new THREE.AudioListener();
+        this.camera.add(this.listener);
+    }
+
+    /**
+     * The bus a category's sounds connect to (effects for unknown ones).
+     * Only valid after init().
+     */
+    getBus(category) {
+        return this.buses[category] ?? this.buses.effects;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SAMPLES
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Fetch and decode an audio file, once — or run a generator
+     * (context) => AudioBuffer, once. Resolves with the AudioBuffer, or
+     * null if the sound can't be loaded. Decoding waits for init(), so
+     * scenes can ask early.
+     */
+    load(source) {
+        if (!this.buffers.has(source)) {
+            const buffer = typeof source === 'function'
+                ? this.ready.then(() => source(this.audioContext))
+                : this.fetchBytes(source).then(bytes => this.ready.then(() => this.audioContext.decodeAudioData(bytes)));
+
+            const promise = buffer.catch(err => {
+                console.warn(`Audio failed to load: ${source.name || source}`, err);
+                this.buffers.delete(source);   // a later load() tries again
+                return null;
+            });
+            this.buffers.set(source, promise);
+        }
+        return this.buffers.get(source);
+    }
+
+    /** File bytes, from AssetManager's cache when the scene preloaded them. */
+    fetchBytes(url) {
+        const cached = new AssetManager().getAudio(url);
+        // decodeAudioData detaches its buffer; keep the cached copy intact
+        if (cached) return Promise.resolve(cached.slice(0));
+
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.arrayBuffer();
+        });
+    }
+
+    /**
+     * Play a sample (URL or generator). Resolves with a voice ({ source, gain, fadeTo(), stop() })
+     * or null if nothing could play (before init(), muted one-shot, failed
+     * file).
+     *
+     * options:
+     *  - category → bus to play on (default 'effects')
+     *  - volume   → 0–1 on top of the bus volume
+     *  - loop     → repeat until stopped
+     *  - rate     → playback rate (pitch)
+     *  - output   → AudioNode to connect to instead of the bus; it should
+     *               lead to the bus itself
+     */
+    async play(source, { category = 'effects', volume = 1, loop = false, rate = 1, output = null } = {}) {
+        if (!this.initialized || (this.isMuted && !loop)) return null;
+
+        const buffer = await this.load(source);
+        if (!buffer) return null;
+
+        return this.createVoice(buffer, { category, volume, loop, rate, output });
+    }
+
+    createVoice(buffer, { category, volume, loop, rate, output }) {
+        const ctx = this.audioContext;
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = loop;
+        source.playbackRate.value = rate;
+
+        const gain = ctx.createGain();
+        gain.gain.value = volume;
+
+        source.connect(gain);
+        gain.connect(output ?? this.getBus(category));
+        source.start();
+
+        const voice = {
+            source,
+            gain,
+            fadeTo: (value, seconds) => rampTo(gain.gain, value, seconds, ctx),
+            stop: (fade = 0) => {
+                if (fade > 0) rampTo(gain.gain, 0, fade, ctx);
+                try { source.stop(ctx.currentTime + fade); } catch(_) {}
+            }
+        };
+        source.onended = () => gain.disconnect();
+
+        return voice;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       LOOPS  — music and ambience
+    ══════════════════════════════════════════════════════════════════════ */
+
+    playMusic(url, { volume = 1, fade = LOOP_FADE } = {}) {
+        this.crossFade('music', url, volume, fade);
+    }
+
+    playAmbience(url, { volume = 1, fade = LOOP_FADE } = {}) {
+        this.crossFade('ambient', url, volume, fade);
+    }
+
+    stopMusic(fade = LOOP_FADE) {
+        this.crossFade('music', null, 1, fade);
+    }
+
+    stopAmbience(fade = LOOP_FADE) {
+        this.crossFade('ambient', null, 1, fade);
+    }
+
+    /**
+     * The tracks a scene wants: { music, ambience } (URLs, missing = silence).
+     * A track that is already playing carries on uninterrupted.
+     */
+    setSceneAudio({ music = null, ambience = null } = {}, fade = LOOP_FADE) {
+        this.crossFade('music', music, 1, fade);
+        this.crossFade('ambient', ambience, 1, fade);
+    }
+
+    /**
+     * Fade the channel's current track out and `url` (or silence) in.
+     */
+    crossFade(channel, url, volume, fade) {
+        const loop = this.loops[channel];
+
+        if (loop.url === url) {
+            if (loop.voice && loop.volume !== volume) loop.voice.fadeTo(volume, fade);
+            loop.volume = volume;
+            return;
+        }
+
+        loop.voice?.stop(fade);
+        loop.voice = null;
+        loop.url = url;
+        loop.volume = volume;
+        loop.token++;   // a track still loading for this channel is now stale
+
+        if (url && this.initialized) this.startLoop(channel, url, volume, fade);
+    }
+
+    async startLoop(channel, url, volume, fade) {
+        const loop = this.loops[channel];
+        const token = loop.token;
+
+        const voice = await this.play(url, { category: channel, volume: 0, loop: true });
+        if (!voice) return;
+
+        // Superseded while the file was loading
+        if (loop.token !== token) {
+            voice.stop();
+            return;
+        }
+
+        loop.voice = voice;
+        voice.fadeTo(loop.volume, fade);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SYNTHETIC SOUNDS
+    ══════════════════════════════════════════════════════════════════════ */
+
     /**
      * Create a sound from frequency (for synthetic sounds)
      */
     createTone(name, frequency, duration, category = 'effects') {
         if (!this.initialized) this.init();
-        
+
         const sound = {
             type: 'tone',
             frequency,
@@ -47,48 +328,47 @@ export default class AudioManager {
             category,
             isPlaying: false
         };
-        
+
         this.sounds.set(name, sound);
         return sound;
     }
-    
+
     /**
      * Play a tone
      */
     playTone(name) {
         if (!this.initialized || this.isMuted) return;
-        
+
         const sound = this.sounds.get(name);
         if (!sound || sound.type !== 'tone') return;
-        
+
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
-        
+
         oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
+        gainNode.connect(this.getBus(sound.category));
+
         oscillator.frequency.value = sound.frequency;
         oscillator.type = 'sine';
-        
-        const volume = this.masterVolume * this.categories[sound.category];
-        gainNode.gain.setValueAtTime(volume * 0.3, this.audioContext.currentTime);
+
+        gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + sound.duration);
-        
+
         oscillator.start(this.audioContext.currentTime);
         oscillator.stop(this.audioContext.currentTime + sound.duration);
-        
+
         sound.isPlaying = true;
         setTimeout(() => {
             sound.isPlaying = false;
         }, sound.duration * 1000);
     }
-    
+
     /**
      * Create mechanical hum (for loading scene)
      */
     createMechanicalHum() {
         if (!this.initialized) this.init();
-        
+
         const sound = {
             type: 'hum',
             category: 'ambient',
@@ -96,29 +376,28 @@ export default class AudioManager {
             oscillators: [],
             gainNode: null
         };
-        
+
         this.sounds.set('mechanical-hum', sound);
         return sound;
     }
-    
+
     /**
      * Play mechanical hum
      */
     playMechanicalHum() {
         if (!this.initialized || this.isMuted) return;
-        
+
         const sound = this.sounds.get('mechanical-hum');
         if (!sound || sound.isPlaying) return;
-        
+
         // Create multiple oscillators for rich mechanical sound
         const frequencies = [60, 120, 180, 240];
         const gainNode = this.audioContext.createGain();
-        gainNode.connect(this.audioContext.destination);
-        
-        const volume = this.masterVolume * this.categories[sound.category];
+        gainNode.connect(this.getBus(sound.category));
+
         gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume * 0.15, this.audioContext.currentTime + 0.5);
-        
+        gainNode.gain.linearRampToValueAtTime(0.15, this.audioContext.currentTime + 0.5);
+
         frequencies.forEach((freq, i) => {
             const osc = this.audioContext.createOscillator();
             osc.type = i % 2 === 0 ? 'sine' : 'triangle';
@@ -127,47 +406,129 @@ export default class AudioManager {
             osc.start();
             sound.oscillators.push(osc);
         });
-        
+
         sound.gainNode = gainNode;
         sound.isPlaying = true;
     }
-    
+
     /**
      * Stop mechanical hum
      */
     stopMechanicalHum() {
         const sound = this.sounds.get('mechanical-hum');
         if (!sound || !sound.isPlaying) return;
-        
+
         const currentTime = this.audioContext.currentTime;
         sound.gainNode.gain.linearRampToValueAtTime(0, currentTime + 0.5);
-        
+
         setTimeout(() => {
             sound.oscillators.forEach(osc => osc.stop());
             sound.oscillators = [];
+            sound.gainNode.disconnect();
             sound.isPlaying = false;
         }, 500);
     }
-    
+
+    /**
+     * Rising whoosh: a sine sweep plus band-passed noise for the air rush
+     * (the intro's exit burst).
+     */
+    playWhoosh(duration, category = 'effects') {
+        if (!this.initialized || this.isMuted) return;
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const bus = this.getBus(category);
+
+        const gain = ctx.createGain();
+        gain.connect(bus);
+        gain.gain.setValueAtTime(0.4, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+        // Sweeping oscillator: starts high, goes higher
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(800, now);
+        osc.frequency.exponentialRampToValueAtTime(4000, now + duration);
+        osc.connect(gain);
+        osc.start(now);
+        osc.stop(now + duration + 0.05);
+
+        // Noise layer for "air rush" feel
+        const bufferSize = Math.ceil(ctx.sampleRate * duration);
+        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) data[i] = Math.random() * 2 - 1;
+
+        const noiseSource = ctx.createBufferSource();
+        noiseSource.buffer = buffer;
+
+        const bandpass = ctx.createBiquadFilter();
+        bandpass.type = 'bandpass';
+        bandpass.frequency.setValueAtTime(1200, now);
+        bandpass.frequency.exponentialRampToValueAtTime(6000, now + duration);
+        bandpass.Q.value = 1.5;
+
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.setValueAtTime(0.25, now);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+        noiseSource.connect(bandpass);
+        bandpass.connect(noiseGain);
+        noiseGain.connect(bus);
+        noiseSource.start(now);
+        noiseSource.stop(now + duration + 0.05);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       VOLUME
+    ══════════════════════════════════════════════════════════════════════ */
+
     /**
-     * Mute/unmute all sounds
+     * Mute/unmute all sounds. Loops keep running silently, so unmuting
+     * picks them up where they are.
      */
     setMuted(muted) {
         this.isMuted = muted;
-        if (muted) {
-            // Stop all playing sounds
-            this.sounds.forEach(sound => {
-                if (sound.type === 'hum' && sound.isPlaying) {
-                    this.stopMechanicalHum();
-                }
-            });
-        }
+        this.applyMasterGain();
     }
-    
+
     /**
      * Set master volume (0-1)
      */
     setMasterVolume(volume) {
         this.masterVolume = Math.max(0, Math.min(1, volume));
+        this.applyMasterGain();
+    }
+
+    /**
+     * Set one category's volume (0-1)
+     */
+    setCategoryVolume(category, volume) {
+        if (!(category in this.categories)) return;
+
+        this.categories[category] = Math.max(0, Math.min(1, volume));
+        if (this.initialized) {
+            rampTo(this.buses[category].gain, this.categories[category], VOLUME_RAMP, this.audioContext);
+        }
+    }
+
+    applyMasterGain() {
+        if (!this.initialized) return;
+        rampTo(this.master.gain, this.isMuted ? 0 : this.masterVolume, VOLUME_RAMP, this.audioContext);
+    }
+
+    /**
+     * Suspend the audio context while the app is paused (see PauseManager);
+     * anything playing picks up where it stopped on resume()
+     */
+    suspend() {
+        this.isSuspended = true;
+        if (this.audioContext?.state === 'running') this.audioContext.suspend();
+    }
+
+    resume() {
+        this.isSuspended = false;
+        if (this.audioContext?.state === 'suspended') this.audioContext.resume();
     }
-}
\ No newline at end of file
+}
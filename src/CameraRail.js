@@ -0,0 +1,255 @@
+/**
+ * CameraRail.js
+ * Guided camera for scenes: the visitor travels along an authored path
+ * instead of walking freely, and the view is aimed for them.
+ *
+ * A scene declares:
+ *  - path    → a THREE.Curve (usually CatmullRomCurve3) on the ground; the
+ *              camera rides it at `eyeHeight`
+ *  - lookAt  → [{ at, target, radius? }] points of interest. Within
+ *              `radius` metres of `at` along the rail the view turns
+ *              towards `target`; elsewhere it looks ahead along the path
+ *  - stops   → [{ at, hold?, ... }] places the camera pauses. Moving past
+ *              one eases into it and ignores input for `hold` seconds, so
+ *              a long scroll can't fly by. Extra fields are left for the
+ *              scene (e.g. which district a stop belongs to)
+ *
+ * `at` is either a rail fraction (0–1) or a THREE.Vector3 near the path.
+ *
+ * Input is the same as Locomotion's forward / backward — scroll, vertical
+ * swipe, the ↑ / ↓ arrow buttons, W / S and ↑ / ↓ keys — and builds up a
+ * gliding velocity; the camera eases after it. The view is applied through
+ * Controls' rotation targets so it stays smooth and hands over cleanly when
+ * the visitor switches back to free walking.
+ *
+ * Exposes the same `position`, `speed`, `stop()`, `setPosition(x, z)` and
+ * `update(dt)` as Locomotion, so scenes can swap one for the other.
+ */
+
+import * as THREE from 'three';
+import { isTyping } from './utils/input.js';
+import { closestPointT } from './utils/curves.js';
+
+const DEFAULTS = {
+    eyeHeight:    1.6,
+    acceleration: 40,     // rail speed added per second of full input (m/s²)
+    damping:      2,      // exponential velocity decay per second
+    maxSpeed:     5,
+    easing:       4,      // how quickly the camera catches up with its target
+    hold:         1.2,    // default pause at a stop, seconds
+    lookRadius:   4,      // default reach of a look-at target, metres
+    lookAhead:    4,      // metres ahead the view aims between targets
+    lookAt:       [],
+    stops:        [],
+    onStop:       null,   // (stop) => void, once per arrival
+    driveCamera:  true    // false: scene reads `position` and moves the camera itself
+};
+
+const ARRIVE_DISTANCE = 0.05;   // metres from a stop that count as "there"
+
+const _look = new THREE.Vector3();
+
+export default class CameraRail {
+
+    constructor(camera, controls, options = {}) {
+        this.camera   = camera;
+        this.controls = controls;
+        this.options  = { ...DEFAULTS, ...options };
+
+        this.path   = this.options.path;
+        this.length = this.path.getLength();
+
+        this.enabled   = true;
+        this.position  = new THREE.Vector3();
+        this.progress  = 0;       // 0–1, where the camera is
+        this.target    = 0;       // 0–1, where it is easing to
+        this.velocity  = 0;       // m/s along the rail, + = towards the end
+        this.holdTimer = 0;
+        this.resting   = null;    // stop the camera is resting at
+
+        this.stops = this.options.stops
+            .map(stop => ({ hold: this.options.hold, ...stop, t: this.resolve(stop.at) }))
+            .sort((a, b) => a.t - b.t);
+
+        this.lookTargets = this.options.lookAt
+            .map(look => ({ radius: this.options.lookRadius, ...look, t: this.resolve(look.at) }));
+
+        const start = this.path.getPointAt(0);
+        this.position.set(start.x, start.y + this.options.eyeHeight, start.z);
+    }
+
+    get speed() {
+        return Math.abs(this.velocity);
+    }
+
+    /** The stop the camera is resting at, or null while travelling. */
+    get currentStop() {
+        return this.resting;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Jump to a rail fraction (0–1). The view is left alone and turns
+     * towards the rail's aim on the next update.
+     */
+    setProgress(t) {
+        this.progress = this.target = THREE.MathUtils.clamp(t, 0, 1);
+        this.velocity  = 0;
+        this.holdTimer = 0;
+        this.resting   = null;
+        this.applyPosition();
+    }
+
+    /** Jump to the point of the rail closest to (x, z). */
+    setPosition(x, z) {
+        this.setProgress(closestPointT(this.path, x, z));
+    }
+
+    stop() {
+        this.velocity = 0;
+        this.target   = this.progress;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    update(dt) {
+        if (!this.enabled) return;
+
+        const o     = this.options;
+        const input = this.holdTimer > 0 ? 0 : this.readInput();
+
+        this.holdTimer = Math.max(0, this.holdTimer - dt);
+
+        this.velocity += input * o.acceleration * dt;
+        this.velocity *= Math.exp(-o.damping * dt);
+        this.velocity  = THREE.MathUtils.clamp(this.velocity, -o.maxSpeed, o.maxSpeed);
+
+        this.advanceTarget(this.velocity * dt / this.length);
+
+        // Camera eases after the target, frame-rate independent
+        this.progress += (this.target - this.progress) * (1 - Math.exp(-o.easing * dt));
+        if (Math.abs(this.target - this.progress) * this.length < 0.001) this.progress = this.target;
+
+        this.checkArrival();
+        this.applyPosition();
+        this.aim();
+    }
+
+    /**
+     * Forward / backward from Controls plus the keyboard, -1…1. Keys are
+     * ignored while the visitor is typing in a form field.
+     */
+    readInput() {
+        let forward = this.controls.getMovement().forward;
+
+        if (!isTyping()) {
+            const keys = this.controls.keys;
+            if (keys['w'] || keys['arrowup'])   forward += 1;
+            if (keys['s'] || keys['arrowdown']) forward -= 1;
+        }
+
+        return THREE.MathUtils.clamp(forward, -1, 1);
+    }
+
+    /**
+     * Move the target, catching it on the first stop it would pass. The
+     * stop being left is excluded (strict on the starting side).
+     */
+    advanceTarget(step) {
+        if (step === 0) return;
+
+        const from = this.target;
+        const to   = THREE.MathUtils.clamp(from + step, 0, 1);
+
+        const caught = step > 0
+            ? this.stops.find(s => from < s.t && s.t <= to)
+            : [...this.stops].reverse().find(s => to <= s.t && s.t < from);
+
+        if (caught) {
+            this.target    = caught.t;
+            this.velocity  = 0;
+            this.holdTimer = caught.hold;
+        } else {
+            this.target = to;
+            if (to === 0 || to === 1) this.velocity = 0;
+        }
+    }
+
+    checkArrival() {
+        const near = this.stops.find(s => Math.abs(s.t - this.progress) * this.length < ARRIVE_DISTANCE);
+
+        if (near && near !== this.resting && this.target === near.t) {
+            this.resting = near;
+            this.options.onStop?.(near);
+        } else if (!near) {
+            this.resting = null;
+        }
+    }
+
+    applyPosition() {
+        const point = this.path.getPointAt(this.progress);
+        this.position.set(point.x, point.y + this.options.eyeHeight, point.z);
+
+        if (this.options.driveCamera) {
+            this.camera.setPosition(this.position.x, this.position.y, this.position.z);
+        }
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Aim through Controls' rotation targets: look ahead along the rail,
+     * blended towards the nearest point of interest in reach.
+     */
+    aim() {
+        this.getLookPoint(_look);
+
+        const dx = _look.x - this.position.x;
+        const dy = _look.y - this.position.y;
+        const dz = _look.z - this.position.z;
+
+        // Positive heading turns left (see Controls.resetRotation)
+        const heading = Math.atan2(-dx, -dz);
+        const pitch   = THREE.MathUtils.clamp(Math.atan2(dy, Math.hypot(dx, dz)), -Math.PI / 4, Math.PI / 4);
+
+        const rotation = this.controls.rotation;
+
+        // Turn the short way round from wherever the view is now
+        const turn = Math.atan2(Math.sin(heading - rotation.horizontal), Math.cos(heading - rotation.horizontal));
+        rotation.targetHorizontal = rotation.horizontal + turn;
+        rotation.targetVertical   = pitch;
+    }
+
+    getLookPoint(out) {
+        // Ahead along the rail, at eye height; past the end, along the last tangent
+        const aheadT = this.progress + this.options.lookAhead / this.length;
+        if (aheadT <= 1) {
+            out.copy(this.path.getPointAt(aheadT));
+        } else {
+            const overshoot = (aheadT - 1) * this.length;
+            out.copy(this.path.getPointAt(1)).addScaledVector(this.path.getTangentAt(1), overshoot);
+        }
+        out.y += this.options.eyeHeight;
+
+        let best = null;
+        let bestWeight = 0;
+        this.lookTargets.forEach(look => {
+            const distance = Math.abs(look.t - this.progress) * this.length;
+            const weight   = 1 - THREE.MathUtils.smoothstep(distance, look.radius * 0.35, look.radius);
+            if (weight > bestWeight) {
+                best       = look;
+                bestWeight = weight;
+            }
+        });
+
+        if (best) out.lerp(best.target, bestWeight);
+        return out;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    resolve(at) {
+        return typeof at === 'number' ? THREE.MathUtils.clamp(at, 0, 1) : closestPointT(this.path, at.x, at.z);
+    }
+}
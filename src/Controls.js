@@ -3,6 +3,9 @@
  * Unified control system for mobile (swipe) and desktop (mouse/scroll)
  */
 
+// What getMovement() reports while movement is disabled
+const NO_MOVEMENT = Object.freeze({ forward: 0, rotation: 0, rotationY: 0 });
+
 export default class Controls {
     constructor(sizes, camera) {
         this.sizes = sizes;
@@ -25,6 +28,17 @@ export default class Controls {
             isSwiping: false
         };
         
+        // Drag routing — when look is disabled (e.g. while inspecting an
+        // object) drag deltas accumulate here for the scene to consume
+        this.lookEnabled = true;
+        this.drag = { x: 0, y: 0 };
+        
+        // Scenes without walking (see BaseScene permissions) get no movement
+        this.moveEnabled = true;
+        
+        // Tap detection (pointer released without dragging)
+        this.tap = { downX: 0, downY: 0, threshold: 6 };
+        
         // Keyboard state
         this.keys = {};
         
@@ -53,6 +67,8 @@ export default class Controls {
             this.touch.startY = e.touches[0].clientY;
             this.touch.currentX = this.touch.startX;
             this.touch.currentY = this.touch.startY;
+            this.tap.downX = this.touch.startX;
+            this.tap.downY = this.touch.startY;
         });
         
         canvas.addEventListener('touchmove', (e) => {
@@ -65,8 +81,12 @@ export default class Controls {
             const deltaX = this.touch.currentX - this.touch.startX;
             const deltaY = this.touch.currentY - this.touch.startY;
             
-            // Determine if it's a horizontal or vertical swipe
-            if (Math.abs(deltaX) > Math.abs(deltaY)) {
+            if (!this.lookEnabled) {
+                // Swipes drive the scene's drag target instead of the camera
+                this.drag.x += deltaX * 0.01;
+                this.drag.y += deltaY * 0.01;
+                this.touch.isSwiping = true;
+            } else if (Math.abs(deltaX) > Math.abs(deltaY)) {
                 // Horizontal swipe = rotation
                 this.rotation.targetHorizontal += deltaX * 0.005;
                 this.touch.isSwiping = true;
@@ -81,6 +101,7 @@ export default class Controls {
         });
         
         canvas.addEventListener('touchend', () => {
+            this.detectTap(this.touch.currentX, this.touch.currentY);
             this.touch.isActive = false;
             this.touch.isSwiping = false;
             this.movement.forward = 0;
@@ -91,25 +112,38 @@ export default class Controls {
             this.touch.isActive = true;
             this.touch.startX = e.clientX;
             this.touch.startY = e.clientY;
+            this.touch.currentX = e.clientX;
+            this.touch.currentY = e.clientY;
+            this.tap.downX = e.clientX;
+            this.tap.downY = e.clientY;
         });
         
         canvas.addEventListener('mousemove', (e) => {
             if (!this.touch.isActive) return;
             
+            this.touch.currentX = e.clientX;
+            this.touch.currentY = e.clientY;
+            
             const deltaX = e.clientX - this.touch.startX;
             const deltaY = e.clientY - this.touch.startY;
             
-            this.rotation.targetHorizontal += deltaX * 0.003;
-            this.rotation.targetVertical -= deltaY * 0.003;
-            
-            // Clamp vertical rotation
-            this.rotation.targetVertical = Math.max(-Math.PI / 4, Math.min(Math.PI / 4, this.rotation.targetVertical));
+            if (this.lookEnabled) {
+                this.rotation.targetHorizontal += deltaX * 0.003;
+                this.rotation.targetVertical -= deltaY * 0.003;
+                
+                // Clamp vertical rotation
+                this.rotation.targetVertical = Math.max(-Math.PI / 4, Math.min(Math.PI / 4, this.rotation.targetVertical));
+            } else {
+                this.drag.x += deltaX * 0.01;
+                this.drag.y += deltaY * 0.01;
+            }
             
             this.touch.startX = e.clientX;
             this.touch.startY = e.clientY;
         });
         
-        canvas.addEventListener('mouseup', () => {
+        canvas.addEventListener('mouseup', (e) => {
+            this.detectTap(e.clientX, e.clientY);
             this.touch.isActive = false;
         });
         
@@ -158,19 +192,50 @@ export default class Controls {
             });
         }
         
+        // With look disabled, left/right pulse movement.rotation instead so
+        // scenes can use them for steering
         if (arrowLeft) {
             arrowLeft.addEventListener('click', () => {
+                if (!this.lookEnabled) {
+                    this.movement.rotation = -1;
+                    setTimeout(() => { this.movement.rotation = 0; }, 150);
+                    return;
+                }
                 this.rotation.targetHorizontal -= 0.2;
             });
         }
         
         if (arrowRight) {
             arrowRight.addEventListener('click', () => {
+                if (!this.lookEnabled) {
+                    this.movement.rotation = 1;
+                    setTimeout(() => { this.movement.rotation = 0; }, 150);
+                    return;
+                }
                 this.rotation.targetHorizontal += 0.2;
             });
         }
     }
     
+    /**
+     * Fire a 'canvas-tap' window event when the pointer is released close to
+     * where it went down. detail = { x, y } in normalized device coordinates
+     * (-1..1), ready for THREE.Raycaster.setFromCamera.
+     */
+    detectTap(clientX, clientY) {
+        if (!this.touch.isActive) return;
+        
+        const moved = Math.hypot(clientX - this.tap.downX, clientY - this.tap.downY);
+        if (moved > this.tap.threshold) return;
+        
+        window.dispatchEvent(new CustomEvent('canvas-tap', {
+            detail: {
+                x: (clientX / this.sizes.width) * 2 - 1,
+                y: -(clientY / this.sizes.height) * 2 + 1
+            }
+        }));
+    }
+    
     update() {
         // Smooth camera rotation
         this.rotation.horizontal += (this.rotation.targetHorizontal - this.rotation.horizontal) * this.rotation.smoothness;
@@ -183,6 +248,63 @@ export default class Controls {
     }
     
     getMovement() {
-        return this.movement;
+        return this.moveEnabled ? this.movement : NO_MOVEMENT;
+    }
+    
+    /**
+     * Enable/disable movement input (wheel, vertical swipes, ↑ / ↓). While
+     * disabled, getMovement() reports no movement.
+     */
+    setMoveEnabled(enabled) {
+        this.moveEnabled = enabled;
+        this.movement.forward = 0;
+        this.movement.rotation = 0;
+    }
+    
+    /**
+     * Enable/disable drag-to-look. While disabled, drags are collected in
+     * `drag` and can be read with consumeDrag().
+     */
+    setLookEnabled(enabled) {
+        this.lookEnabled = enabled;
+        this.drag.x = 0;
+        this.drag.y = 0;
+    }
+    
+    /**
+     * Return the drag accumulated since the last call and reset it.
+     */
+    consumeDrag() {
+        const drag = { x: this.drag.x, y: this.drag.y };
+        this.drag.x = 0;
+        this.drag.y = 0;
+        return drag;
+    }
+
+    /**
+     * Forget held keys, touches and pulses, e.g. when the app pauses and
+     * the matching key-up / touchend may never arrive.
+     */
+    releaseInput() {
+        this.keys = {};
+        this.movement.forward = 0;
+        this.movement.rotation = 0;
+        this.movement.rotationY = 0;
+        this.touch.isActive = false;
+        this.touch.isSwiping = false;
+    }
+
+    /**
+     * Snap the camera look direction to a heading (radians, 0 = straight
+     * ahead down -Z) with a level pitch. Used when a scene places the camera.
+     */
+    resetRotation(horizontal = 0) {
+        this.rotation.horizontal = horizontal;
+        this.rotation.vertical = 0;
+        this.rotation.targetHorizontal = horizontal;
+        this.rotation.targetVertical = 0;
+        
+        // Scenes that aim the camera themselves (lookAt) can leave roll behind
+        this.camera.instance.rotation.set(0, horizontal, 0);
     }
 }
\ No newline at end of file
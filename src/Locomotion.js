@@ -0,0 +1,228 @@
+/**
+ * Locomotion.js
+ * First-person walking for scenes, driven by Controls.
+ *
+ * Input: Controls.movement.forward (swipe / wheel / arrow buttons) plus
+ * the keyboard — W / ↑ forward, S / ↓ back, A / D strafe, ← / → turn.
+ * Velocity builds up with `acceleration` and decays with `damping`, so
+ * short wheel or button pulses glide to a stop instead of jerking.
+ *
+ * Two modes, per scene:
+ *  - Free walking  → moves along the look direction inside `walkable`
+ *                    areas (camera centre must stay inside at least one
+ *                    THREE.Box2 in the XZ plane), sliding along
+ *                    `colliders` (Box2s, kept `radius` away).
+ *  - Path-locked   → `path` (any THREE.Curve, e.g. CatmullRomCurve3) is
+ *                    followed from t = 0 to 1; forward input walks along
+ *                    it in whichever direction the visitor is facing.
+ *                    For guided sections.
+ *
+ * Positions are in world units (metres); update() takes seconds.
+ */
+
+import * as THREE from 'three';
+import { isTyping } from './utils/input.js';
+import { closestPointT } from './utils/curves.js';
+
+const DEFAULTS = {
+    eyeHeight:    1.6,
+    acceleration: 60,     // velocity added per second of full input
+    damping:      1.5,    // exponential velocity decay per second
+    maxSpeed:     6,
+    turnSpeed:    1.8,    // radians per second for ← / →
+    radius:       0.3,    // visitor's collision radius
+    headBob:      0,      // bob amplitude in metres (0 = off)
+    walkable:     [],     // THREE.Box2[] — empty means unbounded
+    colliders:    [],     // THREE.Box2[]
+    path:         null,   // THREE.Curve — locks movement to the curve
+    driveCamera:  true    // false: scene reads `position` and moves the camera itself
+};
+
+export default class Locomotion {
+
+    constructor(camera, controls, options = {}) {
+        this.camera   = camera;
+        this.controls = controls;
+        this.options  = { ...DEFAULTS, ...options };
+
+        this.enabled  = true;
+        this.position = new THREE.Vector3(0, this.options.eyeHeight, 0);
+        this.velocity = new THREE.Vector2();   // x = strafe, y = forward (view-relative)
+        this.pathT    = 0;                     // 0–1 along `path`
+        this.distance = 0;                     // metres walked, drives the head bob
+
+        this.walkable  = [...this.options.walkable];
+        this.colliders = [...this.options.colliders];
+
+        if (this.options.path) {
+            this.pathLength = this.options.path.getLength();
+            this.setPathProgress(0);
+        }
+    }
+
+    get speed() {
+        return this.velocity.length();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /** Block a box of the scene (XZ plane). */
+    addCollider(box) {
+        this.colliders.push(box);
+    }
+
+    /** Block the XZ footprint of a mesh or group. */
+    addColliderFromObject(object) {
+        object.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(object);
+        this.addCollider(new THREE.Box2(
+            new THREE.Vector2(box.min.x, box.min.z),
+            new THREE.Vector2(box.max.x, box.max.z)
+        ));
+    }
+
+    /**
+     * Place the visitor. On a path the nearest point of the path is used.
+     */
+    setPosition(x, z) {
+        this.velocity.set(0, 0);
+
+        if (this.options.path) {
+            this.setPathProgress(closestPointT(this.options.path, x, z));
+            return;
+        }
+        this.position.set(x, this.options.eyeHeight, z);
+        this.applyToCamera();
+    }
+
+    setPathProgress(t) {
+        this.pathT = THREE.MathUtils.clamp(t, 0, 1);
+        const point = this.options.path.getPointAt(this.pathT);
+        this.position.set(point.x, point.y + this.options.eyeHeight, point.z);
+        this.applyToCamera();
+    }
+
+    stop() {
+        this.velocity.set(0, 0);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    update(dt) {
+        if (!this.enabled) return;
+
+        const input = this.readInput(dt);
+        const o     = this.options;
+
+        this.velocity.x += input.strafe  * o.acceleration * dt;
+        this.velocity.y += input.forward * o.acceleration * dt;
+        this.velocity.multiplyScalar(Math.exp(-o.damping * dt));
+        if (this.velocity.length() > o.maxSpeed) this.velocity.setLength(o.maxSpeed);
+
+        if (o.path) {
+            this.walkPath(dt);
+        } else {
+            this.walkFree(dt);
+        }
+
+        this.applyToCamera();
+    }
+
+    /**
+     * Combine Controls' pointer / button movement with the keyboard.
+     * Keys are ignored while the visitor is typing in a form field.
+     */
+    readInput(dt) {
+        let forward = this.controls.getMovement().forward;
+        let strafe  = 0;
+
+        if (!isTyping()) {
+            const keys = this.controls.keys;
+            if (keys['w'] || keys['arrowup'])   forward += 1;
+            if (keys['s'] || keys['arrowdown']) forward -= 1;
+            if (keys['d']) strafe += 1;
+            if (keys['a']) strafe -= 1;
+
+            // Positive heading turns left (see Controls.resetRotation)
+            const turn = (keys['arrowleft'] ? 1 : 0) - (keys['arrowright'] ? 1 : 0);
+            this.controls.rotation.targetHorizontal += turn * this.options.turnSpeed * dt;
+        }
+
+        return {
+            forward: THREE.MathUtils.clamp(forward, -1, 1),
+            strafe:  this.options.path ? 0 : THREE.MathUtils.clamp(strafe, -1, 1)
+        };
+    }
+
+    walkFree(dt) {
+        const heading = this.controls.rotation.horizontal;
+        const sin = Math.sin(heading);
+        const cos = Math.cos(heading);
+
+        // View-relative velocity → world XZ (forward = -Z at heading 0)
+        const dx = (-sin * this.velocity.y + cos * this.velocity.x) * dt;
+        const dz = (-cos * this.velocity.y - sin * this.velocity.x) * dt;
+
+        const { x, z } = this.position;
+        let moved = false;
+
+        // Try the full step, then slide along whichever axis is free
+        if (this.canStand(x + dx, z + dz)) {
+            this.position.x += dx;
+            this.position.z += dz;
+            moved = true;
+        } else if (dx !== 0 && this.canStand(x + dx, z)) {
+            this.position.x += dx;
+            moved = true;
+        } else if (dz !== 0 && this.canStand(x, z + dz)) {
+            this.position.z += dz;
+            moved = true;
+        }
+
+        if (!moved) this.velocity.set(0, 0);
+        this.distance += Math.hypot(this.position.x - x, this.position.z - z);
+    }
+
+    walkPath(dt) {
+        const path    = this.options.path;
+        const tangent = path.getTangentAt(this.pathT);
+        const heading = this.controls.rotation.horizontal;
+
+        // Forward means "along the path the way I'm facing"
+        const facing    = -Math.sin(heading) * tangent.x - Math.cos(heading) * tangent.z;
+        const direction = facing < 0 ? -1 : 1;
+
+        const step = (this.velocity.y * direction * dt) / this.pathLength;
+        const next = THREE.MathUtils.clamp(this.pathT + step, 0, 1);
+
+        if (next === this.pathT && step !== 0) this.velocity.set(0, 0);
+        this.distance += Math.abs(next - this.pathT) * this.pathLength;
+
+        const point = path.getPointAt(next);
+        this.pathT = next;
+        this.position.set(point.x, point.y + this.options.eyeHeight, point.z);
+    }
+
+    canStand(x, z) {
+        const point = new THREE.Vector2(x, z);
+
+        if (this.walkable.length && !this.walkable.some(area => area.containsPoint(point))) {
+            return false;
+        }
+
+        const r = this.options.radius;
+        return !this.colliders.some(box =>
+            x > box.min.x - r && x < box.max.x + r &&
+            z > box.min.y - r && z < box.max.y + r
+        );
+    }
+
+    applyToCamera() {
+        if (!this.options.driveCamera) return;
+
+        const bob = this.options.headBob
+            ? Math.sin(this.distance * 3) * this.options.headBob * Math.min(this.speed, 1)
+            : 0;
+        this.camera.setPosition(this.position.x, this.position.y + bob, this.position.z);
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * MainCamera.js
  * Third-person floating camera setup
+ *
+ * Scenes place it directly, through Locomotion (free walking) or along a
+ * CameraRail (guided tour, see GlobalState.cameraMode).
  */
 
 import * as THREE from 'three';
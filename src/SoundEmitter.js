@@ -0,0 +1,132 @@
+/**
+ * SoundEmitter.js
+ * A sound that comes from somewhere in the scene — the whirr of a robot
+ * arm, the crowd in the arena stands. Add it to a mesh (scenes use
+ * BaseScene.addSound) and it is panned by direction and fades with
+ * distance from the camera, which carries AudioManager's listener.
+ *
+ * It plays through its category's bus, so category volume, master volume
+ * and mute apply as they do to every other sound.
+ *
+ * Distance (world units, linear model): full volume up to refDistance,
+ * silent from maxDistance on.
+ *
+ * The THREE.PositionalAudio is only created once audio is available (the
+ * visitor's first gesture) and the sound has loaded; play() / stop()
+ * before then are remembered. A fade-out under way when the emitter is
+ * disposed (a scene left with a short transition) still plays out.
+ *
+ * options:
+ *  - source       → file URL, or a generator from utils/SynthSounds.js
+ *  - category     → AudioManager bus (default 'ambient')
+ *  - volume       → 0–1 on top of the bus volume
+ *  - loop         → default true
+ *  - offset       → seconds into the sound to start from, so several
+ *                   emitters sharing one loop don't play in lockstep
+ *  - refDistance / maxDistance / rolloff → distance attenuation
+ */
+
+import * as THREE from 'three';
+import { rampTo, VOLUME_RAMP } from './AudioManager.js';
+
+const DEFAULTS = {
+    category:    'ambient',
+    volume:      1,
+    loop:        true,
+    offset:      0,
+    refDistance: 1.5,
+    maxDistance: 25,
+    rolloff:     1
+};
+
+export default class SoundEmitter extends THREE.Object3D {
+
+    constructor(audioManager, options) {
+        super();
+
+        this.audioManager = audioManager;
+        this.options      = { ...DEFAULTS, ...options };
+
+        this.sound     = null;    // THREE.PositionalAudio, once loaded
+        this.isPlaying = false;   // what was asked for
+        this.stopTimer = null;
+        this.disposed  = false;
+
+        audioManager.load(this.options.source).then(buffer => this.attach(buffer));
+    }
+
+    attach(buffer) {
+        // No listener: nowhere to hear it from (see AudioManager.attachListener)
+        if (!buffer || this.disposed || !this.audioManager.listener) return;
+
+        const { category, volume, loop, offset, refDistance, maxDistance, rolloff } = this.options;
+        const sound = new THREE.PositionalAudio(this.audioManager.listener);
+
+        // Out through the category bus rather than straight to the speakers
+        sound.gain.disconnect();
+        sound.gain.connect(this.audioManager.getBus(category));
+
+        sound.setBuffer(buffer);
+        sound.setLoop(loop);
+        sound.offset = offset % buffer.duration;
+        sound.gain.gain.value = volume;
+        sound.setDistanceModel('linear');
+        sound.setRefDistance(refDistance);
+        sound.setMaxDistance(maxDistance);
+        sound.setRolloffFactor(rolloff);
+
+        this.add(sound);
+        this.sound = sound;
+
+        if (this.isPlaying) this.play();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /** Start (or keep) playing, fading in over `fade` seconds. */
+    play(fade = 0) {
+        this.isPlaying = true;
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+        if (!this.sound) return;
+
+        if (!this.sound.isPlaying) {
+            this.sound.gain.gain.value = 0;
+            this.sound.play();
+        }
+        this.fadeTo(this.options.volume, Math.max(fade, VOLUME_RAMP));
+    }
+
+    /** Stop, fading out over `fade` seconds. */
+    stop(fade = 0) {
+        this.isPlaying = false;
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+        if (!this.sound?.isPlaying) return;
+
+        this.fadeTo(0, Math.max(fade, VOLUME_RAMP));
+        this.stopTimer = setTimeout(() => {
+            this.stopTimer = null;
+            if (!this.isPlaying && this.sound.isPlaying) this.sound.stop();
+            if (this.disposed) this.release();
+        }, Math.max(fade, VOLUME_RAMP) * 1000);
+    }
+
+    fadeTo(value, seconds) {
+        rampTo(this.sound.gain.gain, value, seconds, this.sound.context);
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.removeFromParent();
+
+        // Still fading out: the stop timer releases it
+        if (!this.stopTimer) this.release();
+    }
+
+    release() {
+        if (!this.sound) return;
+        if (this.sound.isPlaying) this.sound.stop();
+        this.sound.gain.disconnect();
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * AccessibilityLayer.js
+ * Keyboard and screen-reader access to the 3D journey.
+ *
+ *  - Hotspot mirror  → an off-screen list of buttons, one per thing the
+ *                      visitor can click in the current scene. Scenes
+ *                      describe them with getHotspots():
+ *                        [{ label, description?, action() }]
+ *                      The list follows the skip link in tab order and
+ *                      slides into view while it has focus. A scene whose
+ *                      hotspots change dispatches 'hotspots-changed'.
+ *  - Text alternative → the canvas is labelled with the stage name and
+ *                      the scene's getDescription(), if it has one.
+ *  - Live region     → scene changes are announced; scenes can announce
+ *                      anything else with a window 'a11y-announce' event
+ *                      (detail: { message }).
+ *  - Skip link       → "Skip to enrollment form" jumps to the Enrollment
+ *                      Hub and puts focus in its form.
+ */
+
+import { SCENE_TITLES } from '../data/sceneTitles.js';
+
+const FORM_FOCUS_SELECTOR = '#enrollment-form input, #enrollment-form select, #enrollment-form textarea, #enrollment-form button:not(:disabled)';
+
+export default class AccessibilityLayer {
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.scene  = null;
+        this.sceneName = null;
+        this.focusFormOnArrival = false;
+
+        this.canvas.setAttribute('role', 'img');
+
+        this.createHotspotList();
+        this.createAnnouncer();
+        this.setupSkipLink();
+
+        window.addEventListener('hotspots-changed', () => this.renderHotspots());
+        window.addEventListener('a11y-announce',    (e) => this.announce(e.detail?.message));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    createHotspotList() {
+        const nav = document.createElement('nav');
+        nav.id = 'a11y-hotspots';
+        nav.className = 'visually-hidden-focusable';
+        nav.setAttribute('aria-labelledby', 'a11y-hotspots-title');
+        nav.innerHTML = `
+            <h2 id="a11y-hotspots-title" tabindex="-1"></h2>
+            <ul></ul>
+        `;
+
+        // Buttons handle Enter / Space themselves; keep the keys from also
+        // reaching scene shortcuts on window (e.g. Main Street's Enter)
+        nav.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+        });
+
+        // Straight after the skip link, ahead of the on-screen controls
+        const skip = document.getElementById('skip-to-enrollment');
+        if (skip) {
+            skip.after(nav);
+        } else {
+            document.body.prepend(nav);
+        }
+
+        this.hotspotNav   = nav;
+        this.hotspotTitle = nav.querySelector('h2');
+        this.hotspotList  = nav.querySelector('ul');
+    }
+
+    createAnnouncer() {
+        const el = document.createElement('div');
+        el.id = 'a11y-announcer';
+        el.className = 'visually-hidden';
+        el.setAttribute('role', 'status');
+        el.setAttribute('aria-live', 'polite');
+        el.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(el);
+        this.announcerEl = el;
+    }
+
+    setupSkipLink() {
+        const link = document.getElementById('skip-to-enrollment');
+        if (!link) return;
+
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.sceneName === 'enrollmentHub') {
+                this.focusForm();
+                return;
+            }
+            this.focusFormOnArrival = true;
+            window.dispatchEvent(new CustomEvent('scene-request', { detail: { scene: 'enrollmentHub' } }));
+        });
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Called by App once the incoming scene is built.
+     */
+    setScene(sceneName, scene) {
+        const hadFocus = this.hotspotNav.contains(document.activeElement);
+
+        this.sceneName = sceneName;
+        this.scene     = scene;
+
+        const title       = SCENE_TITLES[sceneName] ?? sceneName;
+        const description = scene?.getDescription?.() ?? '';
+        this.canvas.setAttribute('aria-label', description ? `${title}: ${description}` : title);
+
+        this.renderHotspots();
+        this.announce(description ? `${title}. ${description}` : title);
+
+        if (sceneName === 'enrollmentHub' && this.focusFormOnArrival) {
+            this.focusFormOnArrival = false;
+            this.focusForm();
+        } else if (hadFocus) {
+            // The button that was used is gone; keep keyboard users in the list
+            this.hotspotTitle.focus();
+        }
+    }
+
+    renderHotspots() {
+        const hotspots = this.scene?.getHotspots?.() ?? [];
+        const title    = SCENE_TITLES[this.sceneName] ?? '';
+
+        this.hotspotTitle.textContent = hotspots.length
+            ? `${title} — things you can do here`
+            : `${title} — nothing to select here`;
+        this.hotspotList.innerHTML = '';
+
+        hotspots.forEach(({ label, description, action }) => {
+            const li  = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type        = 'button';
+            btn.textContent = label;
+            if (description) {
+                const extra = document.createElement('span');
+                extra.className   = 'visually-hidden';
+                extra.textContent = `, ${description}`;
+                btn.appendChild(extra);
+            }
+            btn.addEventListener('click', () => action());
+
+            li.appendChild(btn);
+            this.hotspotList.appendChild(li);
+        });
+    }
+
+    announce(message) {
+        if (!message) return;
+
+        // Clear first so the same message twice in a row is still read out
+        this.announcerEl.textContent = '';
+        setTimeout(() => { this.announcerEl.textContent = message; }, 50);
+    }
+
+    focusForm() {
+        document.querySelector(FORM_FOCUS_SELECTOR)?.focus();
+    }
+}
@@ -2,9 +2,17 @@
  * App.js
  * Main application lifecycle manager.
  *
- * After the loading animation ends, App checks sessionStorage for
- * the scene the user was on before the last refresh. If found it
- * jumps there directly; otherwise it goes to stage 2 (entry-gate).
+ * After the loading animation ends, App goes to the scene named in the
+ * URL (a deep link, see Router), else the scene the user was on before
+ * the last refresh (sessionStorage), else stage 2 (entry-gate). Deep
+ * links skip the intro animation once their assets are loaded.
+ *
+ * Scene modules are loaded on demand through SceneRegistry, so a first
+ * visit only downloads the intro and the scene it leads to.
+ *
+ * Every scene extends BaseScene; switchScene drives its lifecycle
+ * (preload → outgoing exit → enter → … → dispose) and applies the control
+ * permissions and shared UI the scene declares.
  */
 
 import Sizes       from './Sizes.js';
@@ -14,9 +22,23 @@ import MainCamera  from '../MainCamera.js';
 import Controls    from '../Controls.js';
 import AudioManager from '../AudioManager.js';
 import GlobalState from '../state/GlobalState.js';
-
-// Scenes
-import LoadingScene from '../scenes/LoadingScene.js';
+import AssetManager from './AssetManager.js';
+import SceneRegistry from './SceneRegistry.js';
+import TransitionManager, { DEFAULT_TRANSITION } from './TransitionManager.js';
+import Router from './Router.js';
+import AccessibilityLayer from './AccessibilityLayer.js';
+import SettingsMenu from './SettingsMenu.js';
+import QualityManager from './QualityManager.js';
+import PauseManager from './PauseManager.js';
+import ContactPanel from './ContactPanel.js';
+import ProfilePanel from './ProfilePanel.js';
+import JourneyNavigator from './JourneyNavigator.js';
+import { DEFAULT_PERMISSIONS, DEFAULT_UI } from '../scenes/BaseScene.js';
+import EnrollmentService from '../services/EnrollmentService.js';
+import { createSubmissionAdapter } from '../services/submissionAdapters.js';
+import { SUBMISSION_CONFIG, CONTACT_CONFIG } from '../services/submissionConfig.js';
+import { QUALITY_TIERS, QUALITY_TIER_ORDER } from '../data/qualityTiers.js';
+import { getSceneAudio } from '../data/sceneAssets.js';
 
 // ── Scene name → key map (matches GlobalState.sceneNames order) ──────────────
 const SCENE_NAMES = [
@@ -30,6 +52,14 @@ const SCENE_NAMES = [
     'exitConfirmation'
 ];
 
+// ── Shared UI a scene can ask for (BaseScene `ui`) → element ids ────────────
+const SCENE_UI = {
+    arrows:     ['arrow-forward', 'arrow-backward', 'arrow-left', 'arrow-right'],
+    cameraMode: ['camera-mode-toggle'],
+    navbar:     ['bottom-navbar'],
+    progress:   ['progress-indicator']
+};
+
 export default class App {
 
     constructor(canvas) {
@@ -41,30 +71,71 @@ export default class App {
         // Core systems
         this.sizes        = new Sizes();
         this.time         = new Time();
+        this.globalState  = new GlobalState();
+        this.quality      = new QualityManager(this.sizes, this.globalState);
         this.camera       = new MainCamera(this.sizes);
-        this.renderer     = new Renderer(this.canvas, this.sizes);
+        this.renderer     = new Renderer(this.canvas, this.sizes, this.globalState.getQuality());
         this.controls     = new Controls(this.sizes, this.camera);
         this.audioManager = new AudioManager();
-        this.globalState  = new GlobalState();
+        this.audioManager.attachListener(this.camera.instance);
+        this.assetManager = new AssetManager();
+        this.transitions  = new TransitionManager(this.renderer);
+        this.accessibility = new AccessibilityLayer(this.canvas);
+        this.settings     = new SettingsMenu();
+        this.pauseManager = new PauseManager(
+            this.time,
+            this.audioManager,
+            this.controls,
+            () => this.currentScene
+        );
+        this.enrollmentService = new EnrollmentService(
+            this.globalState,
+            createSubmissionAdapter(SUBMISSION_CONFIG)
+        );
+        this.contactPanel = new ContactPanel(
+            this.controls,
+            this.globalState,
+            createSubmissionAdapter(CONTACT_CONFIG)
+        );
+        this.profilePanel = new ProfilePanel(
+            this.controls,
+            this.globalState,
+            SCENE_NAMES,
+            () => this.forgetVisitor()
+        );
 
-        // Scene registry — only LoadingScene is pre-built; others added as built
-        this.scenes = {
-            loading:          null,
-            entryGate:        null,
-            mainStreet:       null,
-            workshopDistrict: null,
-            competitionArena: null,
-            hallOfLegacy:     null,
-            enrollmentHub:    null,
-            exitConfirmation: null
-        };
+        // Progress dots: jump back to any stage already visited (not from the intro)
+        this.journey = new JourneyNavigator(this.globalState, SCENE_NAMES, (key) => {
+            if (this.currentSceneName === 'loading') return;
+            this.switchScene(key);
+        });
+
+        // Scene modules are imported on first use; only the live scene is
+        // ever built, and it is disposed when the visitor leaves it
+        this.sceneRegistry = new SceneRegistry(
+            this.assetManager,
+            (key) => this.globalState.visitedScenes.has(SCENE_NAMES.indexOf(key))
+        );
+
+        // URL ↔ scene: back / forward switch scenes (ignored during the intro)
+        this.router = new Router(this.globalState.sceneNames, (slug) => {
+            if (this.currentSceneName === 'loading') return;
+            this.switchScene(SCENE_NAMES[this.globalState.sceneNames.indexOf(slug)]);
+        });
 
-        this.currentScene    = null;
-        this._progressGuard  = false; // prevents double-fire of progressToNextScene
+        this.currentScene     = null;
+        this.currentSceneName = null;
+        this.pendingSceneName = null;  // scene whose module is still loading
+        this._progressGuard   = false; // prevents double-fire of progressToNextScene
 
         this.initScenes();
-        this.switchScene('loading');
         this.setupUpdateLoop();
+        this.setupSceneRequests();
+        this.setupSceneResize();
+        this.setupEnrollmentSubmission();
+        this.setupCameraModeToggle();
+        this.setupMotionSetting();
+        this.setupQualitySetting();
 
         console.log('Unimate Academy — App initialized');
     }
@@ -72,54 +143,160 @@ export default class App {
     /* ══════════════════════════════════════════════════════════════════════ */
 
     initScenes() {
-        this.scenes.loading = new LoadingScene(
-            this.camera,
-            this.audioManager,
-            this.globalState
-        );
+        this.globalState.setLoading(true);
+        this.globalState.setSkipIntro(this.router.getRoute() !== null);
+        this.switchScene('loading').then(() => this.preloadFirstScene());
+    }
 
-        this.camera.setPosition(0, 0, 5);
-        this.camera.lookAt(0, 0, 0);
+    /**
+     * Where the visitor lands after the intro: a deep link, else the scene
+     * they were on before a refresh, else the entry gate.
+     */
+    getLandingScene() {
+        const route = this.router.getRoute();
+        const idx   = route ? this.globalState.sceneNames.indexOf(route) : this.globalState.getSavedScene();
+        return SCENE_NAMES[idx];
     }
 
-    /* ══════════════════════════════════════════════════════════════════════ */
+    /**
+     * Load the scene the visitor will land on after the intro (module and
+     * assets). LoadingScene's ring follows this progress and can only
+     * complete once isLoading is cleared.
+     */
+    preloadFirstScene() {
+        const target = this.getLandingScene();
+
+        this.sceneRegistry
+            .load(target, (progress) => this.globalState.setLoadingProgress(progress))
+            .catch(err => console.error(`Failed to load scene "${target}":`, err))
+            .finally(() => this.globalState.setLoading(false));
+    }
 
-    switchScene(sceneName) {
-        const scene = this.scenes[sceneName];
+    /* ══════════════════════════════════════════════════════════════════════ */
 
-        if (!scene) {
-            // Scene not yet implemented → log only
-            console.log(`Scene "${sceneName}" not yet implemented — showing black screen`);
+    /**
+     * Instantiate a loaded scene class with the shared systems.
+     */
+    buildScene(SceneClass) {
+        return new SceneClass(
+            this.camera,
+            this.audioManager,
+            this.globalState,
+            this.controls
+        );
+    }
 
-            // Still update global state so dots + UI are correct
-            const idx = SCENE_NAMES.indexOf(sceneName);
-            if (idx !== -1) this.globalState.setScene(idx);
+    /* ══════════════════════════════════════════════════════════════════════ */
 
-            this.currentScene = null; // nothing to render
-            this.fadeTransition();
+    /**
+     * Load (if needed) and show a scene. The outgoing scene keeps running
+     * until the new module, its assets and its preload() are ready; if
+     * another switch is requested meanwhile, the latest request wins.
+     *
+     * Then, in order: the outgoing scene's exit(to), the incoming scene's
+     * permissions, UI and music / ambience, its enter(from) and the
+     * transition.
+     *
+     * `transition` names a TransitionManager effect. The outgoing scene is
+     * disposed only once the transition has finished, so it stays on
+     * screen until the incoming one fully covers it.
+     */
+    async switchScene(sceneName, transition = DEFAULT_TRANSITION) {
+        if (sceneName === this.currentSceneName || sceneName === this.pendingSceneName) return;
+        this.pendingSceneName = sceneName;
+
+        // Cover the wait only when there is something to download
+        const overlay = document.getElementById('loading-overlay');
+        if (overlay && !this.sceneRegistry.classes.has(sceneName)) overlay.classList.remove('hidden');
+
+        let SceneClass;
+        try {
+            SceneClass = await this.sceneRegistry.load(sceneName);
+        } catch (err) {
+            console.error(`Failed to load scene "${sceneName}":`, err);
+            if (this.pendingSceneName === sceneName) this.pendingSceneName = null;
+            if (overlay) overlay.classList.add('hidden');
+            window.dispatchEvent(new CustomEvent('scene-request-failed', { detail: { scene: sceneName } }));
             return;
         }
+        if (this.pendingSceneName !== sceneName) return; // superseded
 
-        if (this.currentScene && this.currentScene.dispose) {
-            this.currentScene.dispose();
+        const incoming = this.buildScene(SceneClass);
+        try {
+            await incoming.preload();
+        } catch (err) {
+            console.error(`Failed to prepare scene "${sceneName}":`, err);
+        }
+        if (this.pendingSceneName !== sceneName) {
+            incoming.dispose();   // superseded while preloading
+            return;
         }
+        this.pendingSceneName = null;
+
+        // A transition still running hands over immediately (disposing its
+        // outgoing scene) before this one captures the current frame
+        this.transitions.finish();
 
-        this.currentScene = scene;
+        const outgoing     = this.currentScene;
+        const outgoingName = this.currentSceneName;
+        this.transitions.capture(outgoing?.scene ?? null, this.camera.instance);
+        outgoing?.exit(sceneName);
 
         const idx = SCENE_NAMES.indexOf(sceneName);
         if (idx !== -1) this.globalState.setScene(idx);
+        this.journey.update();
+
+        this.currentSceneName = sceneName;
+        this.currentScene     = incoming;
+
+        this.applySceneSettings(incoming);
+        this.audioManager.setSceneAudio(getSceneAudio(sceneName));
+        incoming.enter(outgoingName);
+
+        // Finished loading in a hidden tab: it starts out paused like the rest
+        if (this.pauseManager.isPaused) incoming.onPause();
+
+        // Landing after the intro replaces the entry, so "back" leaves the site
+        if (idx !== -1) {
+            const replace = !outgoingName || outgoingName === 'loading';
+            this.router.navigate(this.globalState.sceneNames[idx], { replace });
+        }
 
-        this.fadeTransition();
         console.log(`Switched to scene: ${sceneName}`);
-    }
+        if (overlay) overlay.classList.add('hidden');
+        this.accessibility.setScene(sceneName, this.currentScene);
 
-    /* ══════════════════════════════════════════════════════════════════════ */
+        this.sceneRegistry.releaseUnreachable(sceneName);
+        // The intro preloads its own successor (see preloadFirstScene)
+        if (sceneName !== 'loading') this.sceneRegistry.prefetchNext(sceneName);
 
-    fadeTransition() {
-        const overlay = document.getElementById('loading-overlay');
-        if (!overlay) return;
-        overlay.classList.remove('hidden');
-        setTimeout(() => overlay.classList.add('hidden'), 300);
+        // Reduced motion and low-end devices get the plain cross-fade
+        const plain = this.globalState.isReducedMotion() || !this.globalState.getQuality().postEffects;
+        await this.transitions.play(plain ? DEFAULT_TRANSITION : transition);
+        outgoing?.dispose();
+
+        // The switch's slow frames say nothing about the new scene
+        this.quality.reset();
+    }
+
+    /**
+     * Hand the shared controls and UI over to a scene, as declared by its
+     * `permissions` and `ui` (see BaseScene). No scene gets the defaults.
+     */
+    applySceneSettings(scene) {
+        const permissions = scene?.permissions ?? DEFAULT_PERMISSIONS;
+        const ui          = scene?.ui ?? DEFAULT_UI;
+
+        this.controls.setLookEnabled(permissions.look);
+        this.controls.setMoveEnabled(permissions.move);
+
+        Object.entries(SCENE_UI).forEach(([name, ids]) => {
+            const visible = ui.includes(name);
+            ids.forEach(id => {
+                const el = document.getElementById(id);
+                if (el) el.style.display = visible ? '' : 'none';
+            });
+        });
     }
 
     /* ══════════════════════════════════════════════════════════════════════ */
@@ -128,16 +305,149 @@ export default class App {
         window.addEventListener('tick', () => this.update());
     }
 
+    /**
+     * Scenes ask to move on by dispatching a 'scene-request' event
+     * (detail: { scene: '<scene key>', transition?: '<effect name>' })
+     * instead of holding a reference to App. If the scene can't be
+     * loaded, a 'scene-request-failed' event (detail: { scene }) tells
+     * the scene still on screen to let the visitor carry on there.
+     */
+    setupSceneRequests() {
+        window.addEventListener('scene-request', (e) => {
+            const target = e.detail?.scene;
+            if (!SCENE_NAMES.includes(target)) {
+                console.warn(`Unknown scene requested: ${target}`);
+                return;
+            }
+            this.switchScene(target, e.detail.transition);
+        });
+    }
+
+    setupSceneResize() {
+        window.addEventListener('sizes-resize', () => this.currentScene?.resize(this.sizes));
+    }
+
+    /**
+     * Scenes announce a completed (or re-sent) application with an
+     * 'enrollment-submitted' event; the service reads it from GlobalState.
+     */
+    setupEnrollmentSubmission() {
+        window.addEventListener('enrollment-submitted', () => this.enrollmentService.submit());
+    }
+
+    /**
+     * "Forget me" from the profile panel: stop sending, wipe everything
+     * stored, and start over as a new visitor — reloaded without the
+     * #/route so the intro plays from the start.
+     */
+    forgetVisitor() {
+        this.enrollmentService.clear();
+        this.globalState.forgetEverything();
+        window.location.replace(`${window.location.pathname}${window.location.search}`);
+    }
+
+    /**
+     * Switch between the guided rail camera and free walking. Scenes with
+     * a rail pick the change up on their next frame.
+     */
+    setupCameraModeToggle() {
+        const button = document.getElementById('camera-mode-toggle');
+        if (!button) return;
+
+        const refresh = () => {
+            const guided = this.globalState.isGuided();
+            button.textContent = guided ? 'Guided tour' : 'Free walk';
+            button.title       = guided ? 'Switch to free walking' : 'Switch to the guided tour';
+            button.setAttribute('aria-pressed', String(guided));
+        };
+
+        button.addEventListener('click', () => {
+            this.globalState.setCameraMode(this.globalState.isGuided() ? 'free' : 'guided');
+            refresh();
+            button.blur();   // keep arrow keys for moving, not re-pressing the button
+        });
+        refresh();
+    }
+
+    /**
+     * Reduced motion follows prefers-reduced-motion unless the visitor
+     * picks otherwise in the settings menu. Scenes ask
+     * globalState.isReducedMotion(); App itself swaps every transition
+     * for a plain cross-fade (see switchScene).
+     */
+    setupMotionSetting() {
+        this.settings.addGroup({
+            id:       'motion',
+            legend:   'Motion',
+            hint:     'Reduced replaces flashes, pulsing and camera sweeps with gentle fades.',
+            options:  [
+                { value: 'system',  label: 'Match my device' },
+                { value: 'reduced', label: 'Reduced' },
+                { value: 'full',    label: 'Full' }
+            ],
+            getValue: () => this.globalState.motionPreference,
+            onChange: (value) => this.globalState.setMotionPreference(value)
+        });
+    }
+
+    /**
+     * Quality is 'auto' (QualityManager adapts to measured frame times) or
+     * a fixed tier. Tier changes apply to the renderer at once; particle
+     * counts follow when the next scene is built.
+     */
+    setupQualitySetting() {
+        this.settings.addGroup({
+            id:       'quality',
+            legend:   'Graphics quality',
+            hint:     'Auto lowers the detail if the journey stutters. Smoothing edges (High) changes after a reload.',
+            options:  [
+                { value: 'auto', label: 'Auto' },
+                ...QUALITY_TIER_ORDER.map(tier => ({ value: tier, label: QUALITY_TIERS[tier].label }))
+            ],
+            getValue: () => this.globalState.qualityPreference,
+            onChange: (value) => this.quality.setPreference(value)
+        });
+
+        window.addEventListener('quality-change', () => this.onQualityChange());
+
+        // Frames straight after a pause aren't representative either
+        window.addEventListener('pause-change', () => this.quality.reset());
+    }
+
+    onQualityChange() {
+        const shadowsChanged = this.renderer.applyQuality(this.globalState.getQuality());
+        this.transitions.resize();
+
+        // Materials compile their shadow code; rebuild the live scene's
+        if (shadowsChanged) {
+            this.currentScene?.scene?.traverse(object => {
+                if (!object.material) return;
+                [].concat(object.material).forEach(material => { material.needsUpdate = true; });
+            });
+        }
+    }
+
+    /**
+     * One frame, all in seconds (see Time): the scene's fixed simulation
+     * steps first, then its per-frame update with the interpolation alpha,
+     * then the render.
+     */
     update() {
-        const { delta, elapsed } = this.time;
+        const { delta, elapsed, alpha } = this.time;
+
+        // Scene switches and transitions aren't representative frames
+        if (!this.transitions.isActive && !this.pendingSceneName) this.quality.update(this.time.rawDelta);
 
         this.controls.update();
 
-        if (this.currentScene?.update) {
-            this.currentScene.update(elapsed, delta);
+        if (this.currentScene) {
+            for (let i = 0; i < this.time.steps; i++) this.currentScene.fixedUpdate(this.time.fixedStep);
+            this.currentScene.update(elapsed, delta, alpha);
         }
 
-        if (this.currentScene?.scene) {
+        if (this.transitions.isActive) {
+            this.transitions.render(this.currentScene?.scene ?? null, this.camera.instance, delta);
+        } else if (this.currentScene) {
             this.renderer.render(this.currentScene.scene, this.camera.instance);
         }
 
@@ -145,7 +455,7 @@ export default class App {
     }
 
     /* ══════════════════════════════════════════════════════════════════════
-       After LoadingScene completes → jump to saved scene (or entry-gate)
+       After LoadingScene completes → jump to the landing scene
     ══════════════════════════════════════════════════════════════════════ */
 
     checkSceneProgression() {
@@ -160,11 +470,7 @@ export default class App {
         this._progressGuard = true;
         this.globalState.setCanProgress(false);
 
-        // Decide where to go
-        const savedIdx    = this.globalState.getSavedScene(); // 1–7
-        const targetName  = SCENE_NAMES[savedIdx];            // e.g. 'entryGate'
-
-        this.switchScene(targetName);
+        this.switchScene(this.getLandingScene());
         // Guard resets after a tick so it can fire again in future scenes
         setTimeout(() => { this._progressGuard = false; }, 500);
     }
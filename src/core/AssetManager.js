@@ -0,0 +1,203 @@
+/**
+ * AssetManager.js
+ * Loads and caches the textures, GLTF models and audio files listed per
+ * scene in data/sceneAssets.js.
+ *
+ * loadScene() starts every file a scene needs through one
+ * THREE.LoadingManager and resolves once all of them have finished.
+ * Progress is reported per item, with the byte progress of files still
+ * in flight (models, audio) counted as a fraction of an item, so large
+ * downloads move the bar smoothly.
+ *
+ * A file that fails to load is logged and skipped — a missing texture
+ * should never leave the visitor stuck on the loading screen.
+ *
+ * releaseScene() frees files once SceneRegistry decides a scene can no
+ * longer be reached.
+ *
+ * Shared instance: `new AssetManager()` always returns the same manager
+ * (App creates it first), so scenes can pick up cached files.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { getSceneAssets } from '../data/sceneAssets.js';
+
+export default class AssetManager {
+
+    constructor() {
+        if (AssetManager.instance) return AssetManager.instance;
+        AssetManager.instance = this;
+
+        this.textures = new Map();   // url → THREE.Texture
+        this.models   = new Map();   // url → GLTF result
+        this.audio    = new Map();   // url → ArrayBuffer
+        this.pending  = new Map();   // url → Promise, while loading
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Load everything a scene needs. `onProgress` receives 0–1.
+     * Files already cached (or being loaded for another scene) are not
+     * fetched twice.
+     */
+    loadScene(sceneName, onProgress = () => {}) {
+        const { textures, models, audio } = getSceneAssets(sceneName);
+        const jobs = [
+            ...textures.map(url => ({ url, kind: 'texture' })),
+            ...models.map(url   => ({ url, kind: 'model' })),
+            ...audio.map(url    => ({ url, kind: 'audio' }))
+        ];
+
+        const fresh = jobs.filter((job, i) =>
+            !this.isLoaded(job.url) &&
+            !this.pending.has(job.url) &&
+            jobs.findIndex(j => j.url === job.url) === i
+        );
+
+        const waiting = jobs
+            .map(job => this.pending.get(job.url))
+            .filter(Boolean);
+
+        if (fresh.length) waiting.push(...this.startBatch(fresh, onProgress));
+
+        return Promise.all(waiting).then(() => onProgress(1));
+    }
+
+    startBatch(jobs, onProgress) {
+        const manager  = new THREE.LoadingManager();
+        const inFlight = new Map();   // url → 0–1 byte progress
+        let itemsLoaded = 0;
+        let itemsTotal  = jobs.length;
+
+        const report = () => {
+            let partial = 0;
+            inFlight.forEach(fraction => { partial += fraction; });
+            onProgress(Math.min((itemsLoaded + partial) / Math.max(itemsTotal, 1), 1));
+        };
+
+        // itemsTotal can grow while loading (a GLTF pulls in its own
+        // buffers and textures through the same manager)
+        manager.onProgress = (url, loaded, total) => {
+            itemsLoaded = loaded;
+            itemsTotal  = Math.max(total, jobs.length);
+            inFlight.delete(url);
+            report();
+        };
+        manager.onError = (url) => console.warn(`Asset failed to load: ${url}`);
+
+        const onBytes = (url) => (event) => {
+            if (!event.lengthComputable) return;
+            inFlight.set(url, event.loaded / event.total);
+            report();
+        };
+
+        return jobs.map(job => {
+            const promise = this.loadFile(job, manager, onBytes(job.url))
+                .finally(() => this.pending.delete(job.url));
+            this.pending.set(job.url, promise);
+            return promise;
+        });
+    }
+
+    /** Resolves with the loaded asset, or null if it failed. */
+    loadFile({ url, kind }, manager, onBytes) {
+        return new Promise((resolve) => {
+            const fail = () => resolve(null);
+
+            switch (kind) {
+                case 'texture':
+                    new THREE.TextureLoader(manager).load(url, (texture) => {
+                        texture.colorSpace = THREE.SRGBColorSpace;
+                        this.textures.set(url, texture);
+                        resolve(texture);
+                    }, undefined, fail);
+                    break;
+
+                case 'model':
+                    new GLTFLoader(manager).load(url, (gltf) => {
+                        this.models.set(url, gltf);
+                        resolve(gltf);
+                    }, onBytes, fail);
+                    break;
+
+                case 'audio': {
+                    const loader = new THREE.FileLoader(manager);
+                    loader.setResponseType('arraybuffer');
+                    loader.load(url, (buffer) => {
+                        this.audio.set(url, buffer);
+                        resolve(buffer);
+                    }, onBytes, fail);
+                    break;
+                }
+
+                default:
+                    console.warn(`Unknown asset kind: ${kind}`);
+                    fail();
+            }
+        });
+    }
+
+    isLoaded(url) {
+        return this.textures.has(url) || this.models.has(url) || this.audio.has(url);
+    }
+
+    /**
+     * Free a scene's files, except those also listed for `keepScenes`.
+     * They will simply be fetched again if the scene is loaded later.
+     */
+    releaseScene(sceneName, keepScenes = []) {
+        const keep = new Set();
+        keepScenes.forEach(name => {
+            const { textures, models, audio } = getSceneAssets(name);
+            [...textures, ...models, ...audio].forEach(url => keep.add(url));
+        });
+
+        const { textures, models, audio } = getSceneAssets(sceneName);
+
+        textures.filter(url => !keep.has(url)).forEach(url => {
+            this.textures.get(url)?.dispose();
+            this.textures.delete(url);
+        });
+        models.filter(url => !keep.has(url)).forEach(url => {
+            this.models.get(url)?.scene.traverse((obj) => {
+                if (obj.geometry) obj.geometry.dispose();
+                if (obj.material) {
+                    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                    materials.forEach(m => {
+                        if (m.map) m.map.dispose();
+                        m.dispose();
+                    });
+                }
+            });
+            this.models.delete(url);
+        });
+        audio.filter(url => !keep.has(url)).forEach(url => this.audio.delete(url));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Cached texture for `url`. Textures that weren't preloaded are loaded
+     * on the spot (and cached), so a scene never has to check first.
+     */
+    getTexture(url) {
+        if (!this.textures.has(url)) {
+            const texture = new THREE.TextureLoader().load(url);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.textures.set(url, texture);
+        }
+        return this.textures.get(url);
+    }
+
+    /** Loaded GLTF (clone `gltf.scene` before adding it), or null. */
+    getModel(url) {
+        return this.models.get(url) ?? null;
+    }
+
+    /** Raw audio file bytes for decoding, or null. */
+    getAudio(url) {
+        return this.audio.get(url) ?? null;
+    }
+}
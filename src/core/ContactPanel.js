@@ -0,0 +1,239 @@
+/**
+ * ContactPanel.js
+ * The navbar's Contact panel: the club's contact channels (see
+ * contactChannels.js) and a message form.
+ *
+ * Messages go out through a submission adapter (submissionAdapters.js,
+ * configured by CONTACT_CONFIG). Unlike enrollment there is no offline
+ * queue: a failed send leaves the message in the form to try again, and
+ * one that can't be delivered at all (e.g. no endpoint configured) says so
+ * and points to the club's email when there is one. Channels that haven't
+ * been filled in aren't listed.
+ *
+ * Name and contact are filled in from the visitor's enrollment details
+ * when they have some.
+ */
+
+import OverlayPanel from './OverlayPanel.js';
+import { CONTACT_EMAIL, getContactChannels } from '../data/contactChannels.js';
+import { validateName, validateContact, validateMessage, MAX_MESSAGE_LENGTH } from '../utils/validation.js';
+
+const COPIED_LABEL_MS = 2000;
+
+const FIELDS = [
+    { key: 'name',    label: 'Your name',        type: 'text',  autocomplete: 'name',  validate: validateName },
+    { key: 'contact', label: 'Email or phone',   type: 'text',  autocomplete: 'email', validate: validateContact },
+    { key: 'message', label: 'Message',          type: 'textarea',                     validate: validateMessage }
+];
+
+export default class ContactPanel extends OverlayPanel {
+
+    constructor(controls, globalState, adapter) {
+        super(controls, {
+            id:       'contact-panel',
+            buttonId: 'nav-contact',
+            title:    'Contact us',
+            subtitle: 'Questions, visits, sponsorship'
+        });
+
+        this.globalState = globalState;
+        this.adapter     = adapter;
+        this.sending     = false;
+
+        this.bodyEl.append(this.buildChannels(), this.buildForm(), this.buildSent());
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       BUILD
+    ══════════════════════════════════════════════════════════════════════ */
+
+    buildChannels() {
+        const list = document.createElement('ul');
+        list.className = 'review-list contact-channels';
+
+        const channels = getContactChannels();
+        list.hidden = !channels.length;
+
+        channels.forEach(channel => {
+            const li    = document.createElement('li');
+            const label = document.createElement('span');
+            const value = document.createElement(channel.href ? 'a' : 'span');
+
+            label.className   = 'review-label';
+            label.textContent = channel.label;
+            value.className   = 'review-value';
+            value.textContent = channel.value;
+            if (channel.href) value.href = channel.href;
+
+            li.append(label, value);
+
+            if (channel.type === 'email') {
+                const copy = document.createElement('button');
+                copy.type        = 'button';
+                copy.className   = 'link-btn';
+                copy.textContent = 'Copy';
+                copy.setAttribute('aria-label', `Copy ${channel.value}`);
+                copy.addEventListener('click', () => this.copyEmail(channel.value, copy));
+                li.appendChild(copy);
+            }
+
+            list.appendChild(li);
+        });
+
+        return list;
+    }
+
+    buildForm() {
+        const form = document.createElement('form');
+        form.className  = 'contact-form';
+        form.noValidate = true;
+
+        this.inputs = {};
+
+        FIELDS.forEach(({ key, label, type, autocomplete }) => {
+            const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+            input.id   = `contact-${key}`;
+            input.name = key;
+            if (type === 'textarea') {
+                input.maxLength = MAX_MESSAGE_LENGTH;
+                input.rows      = 4;
+            } else {
+                input.type         = type;
+                input.autocomplete = autocomplete;
+            }
+
+            this.addField(form, input, label);
+        });
+
+        this.statusEl = document.createElement('p');
+        this.statusEl.className = 'field-error';
+        this.statusEl.setAttribute('role', 'status');
+
+        this.submitBtn = document.createElement('button');
+        this.submitBtn.type        = 'submit';
+        this.submitBtn.className   = 'panel-btn';
+        this.submitBtn.textContent = 'Send message';
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-actions';
+        actions.appendChild(this.submitBtn);
+
+        form.append(this.statusEl, actions);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.send();
+        });
+
+        this.formEl = form;
+        return form;
+    }
+
+    /** Shown in place of the form once a message is accepted. */
+    buildSent() {
+        const sent = document.createElement('div');
+        sent.className = 'contact-sent';
+        sent.hidden    = true;
+        sent.innerHTML = `
+            <p>Thanks — your message is on its way. We usually reply within two working days.</p>
+            <div class="panel-actions"><button type="button" class="panel-btn">Send another</button></div>
+        `;
+        sent.querySelector('button').addEventListener('click', () => this.showForm(true));
+
+        this.sentEl = sent;
+        return sent;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    onOpen() {
+        const { name, contact } = this.globalState.userData;
+        if (!this.inputs.name.value && name)       this.inputs.name.value    = name;
+        if (!this.inputs.contact.value && contact) this.inputs.contact.value = contact;
+    }
+
+    showForm(visible) {
+        this.formEl.hidden = !visible;
+        this.sentEl.hidden = visible;
+        (visible ? this.inputs.message : this.sentEl.querySelector('button')).focus();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SEND
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /** Validate every field, then hand the message to the adapter. */
+    async send() {
+        if (this.sending) return;
+
+        const values = {};
+        let firstInvalid = null;
+
+        FIELDS.forEach(({ key, validate }) => {
+            values[key] = this.inputs[key].value.trim();
+            const error = validate(values[key]);
+            this.showError(key, error);
+            if (error && !firstInvalid) firstInvalid = this.inputs[key];
+        });
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return;
+        }
+
+        this.setSending(true);
+        this.statusEl.textContent = '';
+
+        try {
+            await this.adapter.send({ ...values, sentAt: new Date().toISOString() });
+        } catch (err) {
+            this.statusEl.textContent = err.retryable === false
+                ? `Your message couldn't be delivered.${CONTACT_EMAIL ? ` Please email us at ${CONTACT_EMAIL} instead.` : ''}`
+                : 'We couldn\'t reach the server. Check your connection and try again.';
+            console.warn('Contact message failed:', err.message);
+            return;
+        } finally {
+            this.setSending(false);
+        }
+
+        this.inputs.message.value = '';
+        this.showForm(false);
+        window.dispatchEvent(new CustomEvent('a11y-announce', { detail: { message: 'Message sent' } }));
+    }
+
+    setSending(sending) {
+        this.sending = sending;
+        this.submitBtn.disabled    = sending;
+        this.submitBtn.textContent = sending ? 'Sending…' : 'Send message';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Clipboard API where allowed (secure contexts), else the old
+     * select-and-copy on a throwaway textarea.
+     */
+    async copyEmail(email, button) {
+        let copied = false;
+        try {
+            await navigator.clipboard.writeText(email);
+            copied = true;
+        } catch (_) {
+            const scratch = document.createElement('textarea');
+            scratch.value = email;
+            scratch.setAttribute('readonly', '');
+            Object.assign(scratch.style, { position: 'fixed', opacity: '0' });
+            document.body.appendChild(scratch);
+            scratch.select();
+            try { copied = document.execCommand('copy'); } catch (_) {}
+            scratch.remove();
+            button.focus();
+        }
+
+        const message = copied ? 'Email address copied' : 'Couldn\'t copy — select the address instead';
+        button.textContent = copied ? 'Copied' : 'Copy failed';
+        window.dispatchEvent(new CustomEvent('a11y-announce', { detail: { message } }));
+
+        clearTimeout(this.copyTimer);
+        this.copyTimer = setTimeout(() => { button.textContent = 'Copy'; }, COPIED_LABEL_MS);
+    }
+}
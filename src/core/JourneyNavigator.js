@@ -0,0 +1,123 @@
+/**
+ * JourneyNavigator.js
+ * The stage dots above the navbar (#progress-indicator), one per stage of
+ * the journey, built from the scene list. Stage 0, the loading screen,
+ * isn't part of the journey and gets no dot.
+ *
+ * Each dot is a button named after its stage (sceneTitles.js), shown as a
+ * label on hover / focus, in one of three states:
+ *   active  → the stage on screen
+ *   visited → reached before (GlobalState.visitedScenes); a click jumps
+ *             back there through `onJump(key)`
+ *   locked  → not reached yet; can't be chosen
+ *
+ * The ⌂ Journey navbar button opens the navigator: every label shows and
+ * focus moves to the current stage. Esc, a click outside, picking a stage
+ * or the button again close it (see Popover).
+ *
+ * App calls update() after every scene change.
+ */
+
+import Popover from './Popover.js';
+import { SCENE_TITLES } from '../data/sceneTitles.js';
+
+export default class JourneyNavigator extends Popover {
+
+    /**
+     * `sceneKeys` are App's scene keys in journey order (index = GlobalState
+     * scene index).
+     */
+    constructor(globalState, sceneKeys, onJump) {
+        super();
+        this.globalState = globalState;
+        this.sceneKeys   = sceneKeys;
+        this.onJump      = onJump;
+
+        this.popupEl = document.getElementById('progress-indicator');
+
+        this.createDots();
+        this.setButton(document.getElementById('nav-journey'), 'progress-indicator');
+
+        this.update();
+    }
+
+    createDots() {
+        if (!this.popupEl) return;
+
+        this.popupEl.replaceChildren();
+        this.popupEl.setAttribute('role', 'navigation');
+        this.popupEl.setAttribute('aria-label', 'Journey stages');
+
+        // Stage 0 is the loading screen
+        this.dots = this.sceneKeys.slice(1).map((key, i) => {
+            const dot   = document.createElement('button');
+            const label = document.createElement('span');
+
+            dot.type        = 'button';
+            dot.className   = 'progress-dot';
+            label.className = 'progress-label';
+            label.textContent = SCENE_TITLES[key] ?? key;
+
+            dot.appendChild(label);
+            dot.addEventListener('click', () => this.choose(key, i + 1));
+
+            this.popupEl.appendChild(dot);
+            return dot;
+        });
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /** Re-read the current and visited stages. */
+    update() {
+        const { currentScene, visitedScenes } = this.globalState;
+
+        this.dots?.forEach((dot, i) => {
+            const index   = i + 1;
+            const title   = SCENE_TITLES[this.sceneKeys[index]] ?? this.sceneKeys[index];
+            const active  = index === currentScene;
+            const visited = visitedScenes.has(index);
+
+            dot.classList.toggle('active',  active);
+            dot.classList.toggle('visited', visited && !active);
+            dot.classList.toggle('locked',  !visited);
+
+            dot.setAttribute('aria-disabled', String(!visited || active));
+            dot.setAttribute('aria-label', active
+                ? `${title}, current stage`
+                : visited ? `Go back to ${title}` : `${title}, not reached yet`);
+            if (active) {
+                dot.setAttribute('aria-current', 'step');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    choose(key, index) {
+        const { currentScene, visitedScenes } = this.globalState;
+
+        if (!visitedScenes.has(index)) {
+            window.dispatchEvent(new CustomEvent('a11y-announce', {
+                detail: { message: `${SCENE_TITLES[key]} isn't reached yet` }
+            }));
+            return;
+        }
+
+        this.close(false);
+        if (index !== currentScene) this.onJump(key);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    onOpen() {
+        this.popupEl.classList.add('expanded');
+
+        const current = this.dots.find(dot => dot.classList.contains('active')) ?? this.dots[0];
+        current?.focus();
+    }
+
+    onClose() {
+        this.popupEl.classList.remove('expanded');
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * OverlayPanel.js
+ * A full-screen dialog opened from a navbar button (Contact, Profile …),
+ * shown over whatever scene is running. Subclasses fill `this.bodyEl`.
+ *
+ * While a panel is open:
+ *  - the backdrop covers the canvas and the on-screen controls, so no
+ *    drag, tap, wheel or arrow press reaches Controls
+ *  - keys stop at the panel (capture phase, ahead of Controls and scene
+ *    shortcuts on window); Tab cycles through the panel, Esc closes it
+ *  - held keys / touches are released, as they are on pause
+ *  - its navbar button is the active one
+ *
+ * The scene keeps running underneath. Only one panel is open at a time;
+ * opening another closes the first.
+ *
+ * Panels with a form build their fields through addField() and report
+ * problems with showError().
+ */
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const HOME_BUTTON = 'nav-journey';   // active navbar button while no panel is open
+
+export default class OverlayPanel {
+
+    static current = null;
+
+    constructor(controls, { id, buttonId, title, subtitle = '' }) {
+        this.controls = controls;
+        this.isOpen   = false;
+
+        this.buttonEl = document.getElementById(buttonId);
+        this.buttonEl?.setAttribute('aria-haspopup', 'dialog');
+        this.buttonEl?.setAttribute('aria-expanded', 'false');
+        this.buttonEl?.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+
+        this.createOverlay(id, title, subtitle);
+
+        window.addEventListener('keydown', (e) => this.onKey(e), true);
+    }
+
+    createOverlay(id, title, subtitle) {
+        const overlay = document.createElement('div');
+        overlay.id        = id;
+        overlay.className = 'overlay-panel';
+        overlay.hidden    = true;
+        overlay.innerHTML = `
+            <section class="glass-panel centered" role="dialog" aria-modal="true" aria-labelledby="${id}-title">
+                <button type="button" class="panel-close" aria-label="Close">×</button>
+                <h2 id="${id}-title"></h2>
+                <div class="panel-subtitle"></div>
+                <div class="overlay-panel-body"></div>
+            </section>
+        `;
+        overlay.querySelector('h2').textContent = title;
+        overlay.querySelector('.panel-subtitle').textContent = subtitle;
+        if (!subtitle) overlay.querySelector('.panel-subtitle').remove();
+
+        overlay.querySelector('.panel-close').addEventListener('click', () => this.close());
+
+        // A click on the backdrop, outside the card, closes
+        overlay.addEventListener('pointerdown', (e) => {
+            if (e.target === overlay) this.close();
+        });
+
+        document.body.appendChild(overlay);
+        this.overlayEl = overlay;
+        this.dialogEl  = overlay.querySelector('section');
+        this.bodyEl    = overlay.querySelector('.overlay-panel-body');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    open() {
+        if (this.isOpen) return;
+        OverlayPanel.current?.close(false);
+        OverlayPanel.current = this;
+
+        this.isOpen = true;
+        this.controls.releaseInput();
+        this.onOpen();
+
+        this.overlayEl.hidden = false;
+        this.setNavActive(this.buttonEl);
+        this.buttonEl?.setAttribute('aria-expanded', 'true');
+
+        const items = this.focusables();
+        (items[1] ?? items[0])?.focus();   // first control after ×
+    }
+
+    /** `restoreFocus` is false when another panel takes over. */
+    close(restoreFocus = true) {
+        if (!this.isOpen) return;
+        if (OverlayPanel.current === this) OverlayPanel.current = null;
+
+        const hadFocus = this.overlayEl.contains(document.activeElement);
+
+        this.isOpen = false;
+        this.overlayEl.hidden = true;
+        this.buttonEl?.setAttribute('aria-expanded', 'false');
+        this.onClose();
+
+        if (!restoreFocus) return;
+        this.setNavActive(document.getElementById(HOME_BUTTON));
+        if (hadFocus) this.buttonEl?.focus();
+    }
+
+    /** Refresh the content before the panel shows. */
+    onOpen() {}
+
+    onClose() {}
+
+    /* ══════════════════════════════════════════════════════════════════════
+       FORM FIELDS
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Append `input` (with its id and name already set) to `form` as a
+     * labelled .form-field with an error line. It's kept in
+     * `this.inputs[name]`; typing in it clears the error.
+     */
+    addField(form, input, label) {
+        const { id, name } = input;
+        const field = document.createElement('div');
+        field.className = 'form-field';
+        field.innerHTML = `
+            <label for="${id}"></label>
+            <div class="field-error" id="${id}-error" role="alert"></div>
+        `;
+        field.querySelector('label').textContent = label;
+
+        input.setAttribute('aria-describedby', `${id}-error`);
+        input.addEventListener('input', () => this.showError(name, null));
+
+        field.insertBefore(input, field.querySelector('.field-error'));
+        form.appendChild(field);
+
+        this.inputs ??= {};
+        this.inputs[name] = input;
+    }
+
+    /** `message` null clears the field's error. */
+    showError(key, message) {
+        const input = this.inputs[key];
+        input.closest('.form-field').classList.toggle('invalid', Boolean(message));
+        input.setAttribute('aria-invalid', String(Boolean(message)));
+        document.getElementById(`${input.id}-error`).textContent = message || '';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    setNavActive(button) {
+        document.querySelectorAll('.navbar-btn').forEach(btn => {
+            btn.classList.toggle('active', btn === button);
+        });
+    }
+
+    focusables() {
+        return [...this.dialogEl.querySelectorAll(FOCUSABLE)].filter(el => !el.closest('[hidden]'));
+    }
+
+    /**
+     * Esc closes, Tab wraps around inside the panel, and no key goes on to
+     * Controls or the scene. Typing still works — only the listeners are
+     * skipped, not the key's default action.
+     */
+    onKey(e) {
+        if (!this.isOpen) return;
+
+        if (e.key === 'Escape') {
+            this.close();
+        } else if (e.key === 'Tab') {
+            const items = this.focusables();
+            const first = items[0];
+            const last  = items[items.length - 1];
+            const inside = this.dialogEl.contains(document.activeElement);
+
+            if (e.shiftKey && (document.activeElement === first || !inside)) {
+                e.preventDefault();
+                last?.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+                e.preventDefault();
+                first?.focus();
+            }
+        }
+        e.stopImmediatePropagation();
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * PauseManager.js
+ * Stops the experience while the tab is hidden or the visitor pauses it.
+ *
+ * Pausing has a reason — 'hidden' (page visibility) or 'manual' (the ⏸
+ * button or the P key) — and the experience runs again only once every
+ * reason is gone, so coming back to the tab doesn't undo a manual pause.
+ *
+ * While paused:
+ *  - Time stops ticking, so nothing updates or renders, and the first
+ *    frame after resuming has an ordinary delta
+ *  - the AudioManager's context is suspended
+ *  - held keys / touches are released (their key-ups may never arrive)
+ *  - the current scene is told with onPause() / onResume() (see BaseScene)
+ *  - a manual pause shows an overlay that swallows scene input
+ *
+ * Changes are announced with a window 'pause-change' event
+ * (detail: { paused }).
+ */
+
+import { isTyping } from '../utils/input.js';
+
+export default class PauseManager {
+
+    constructor(time, audioManager, controls, getScene) {
+        this.time         = time;
+        this.audioManager = audioManager;
+        this.controls     = controls;
+        this.getScene     = getScene;   // () => the live scene, or null
+
+        this.reasons = new Set();
+
+        this.createButton();
+        this.createOverlay();
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        });
+
+        // Capture phase, ahead of scene shortcuts on window
+        window.addEventListener('keydown', (e) => this.onKey(e), true);
+    }
+
+    get isPaused() {
+        return this.reasons.size > 0;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    createButton() {
+        const btn = document.createElement('button');
+        btn.id        = 'pause-toggle';
+        btn.type      = 'button';
+        btn.className = 'ui-element';
+        btn.title     = 'Pause (P)';
+        btn.textContent = '❚❚';
+        btn.setAttribute('aria-label', 'Pause');
+        btn.addEventListener('click', () => this.pause('manual'));
+
+        (document.getElementById('ui-container') || document.body).appendChild(btn);
+        this.buttonEl = btn;
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id     = 'pause-overlay';
+        overlay.hidden = true;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'pause-title');
+        overlay.innerHTML = `
+            <h2 id="pause-title">Paused</h2>
+            <p>The journey waits right here. Sound is off until you carry on.</p>
+            <button type="button" class="panel-btn">Resume</button>
+        `;
+        overlay.querySelector('button').addEventListener('click', () => this.resume('manual'));
+
+        document.body.appendChild(overlay);
+        this.overlayEl = overlay;
+        this.resumeBtn = overlay.querySelector('button');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    pause(reason) {
+        const wasPaused = this.isPaused;
+        this.reasons.add(reason);
+
+        if (reason === 'manual') this.showOverlay(true);
+        if (wasPaused) return;
+
+        this.time.pause();
+        this.audioManager.suspend();
+        this.controls.releaseInput();
+        this.getScene()?.onPause();
+
+        window.dispatchEvent(new CustomEvent('pause-change', { detail: { paused: true } }));
+    }
+
+    resume(reason) {
+        if (!this.reasons.delete(reason)) return;
+
+        if (reason === 'manual') this.showOverlay(false);
+        if (this.isPaused) return;
+
+        this.time.resume();
+        this.audioManager.resume();
+        this.getScene()?.onResume();
+
+        window.dispatchEvent(new CustomEvent('pause-change', { detail: { paused: false } }));
+    }
+
+    showOverlay(visible) {
+        const hadFocus = this.overlayEl.contains(document.activeElement);
+
+        this.overlayEl.hidden = !visible;
+
+        if (visible) {
+            this.resumeBtn.focus();
+        } else if (hadFocus) {
+            this.buttonEl.focus();
+        }
+    }
+
+    /**
+     * P pauses; while the overlay is up, P or Esc resume, Tab stays on
+     * Resume and no key reaches the scene.
+     */
+    onKey(e) {
+        const key = e.key.toLowerCase();
+
+        if (!this.reasons.has('manual')) {
+            if (key === 'p' && !isTyping() && !e.repeat) {
+                this.pause('manual');
+                e.stopImmediatePropagation();
+            }
+            return;
+        }
+
+        if (key === 'p' || key === 'escape') this.resume('manual');
+        if (key === 'tab') {
+            // Resume is the only control while paused
+            e.preventDefault();
+            this.resumeBtn.focus();
+        }
+        e.stopImmediatePropagation();
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Popover.js
+ * A drop-down opened from a button that leaves the scene usable around it
+ * (the ⚙ settings menu, the journey navigator). Subclasses set
+ * `this.popupEl`, hand their button to setButton() and show / hide the
+ * popup in onOpen() / onClose().
+ *
+ *  - the button toggles it and carries aria-expanded
+ *  - Esc or the button close it and return focus to the button; a click
+ *    outside closes it and leaves focus where the visitor clicked
+ *  - only one popover is open at a time, and Esc stops at the open one
+ *    (capture phase), so scene shortcuts and other popovers don't see it
+ */
+
+export default class Popover {
+
+    static current = null;
+
+    constructor() {
+        this.isOpen   = false;
+        this.buttonEl = null;
+        this.popupEl  = null;
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || !this.isOpen) return;
+            this.close(true);
+            e.stopImmediatePropagation();
+        }, true);
+
+        document.addEventListener('pointerdown', (e) => {
+            if (this.isOpen && !this.popupEl.contains(e.target) && !this.buttonEl?.contains(e.target)) this.close(false);
+        });
+    }
+
+    /** `button` may be null when the page has no such button. */
+    setButton(button, popupId) {
+        this.buttonEl = button;
+        button?.setAttribute('aria-expanded', 'false');
+        button?.setAttribute('aria-controls', popupId);
+        button?.addEventListener('click', () => (this.isOpen ? this.close(true) : this.open()));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    open() {
+        if (this.isOpen || !this.popupEl) return;
+        Popover.current?.close(false);
+        Popover.current = this;
+
+        this.isOpen = true;
+        this.buttonEl?.setAttribute('aria-expanded', 'true');
+        this.onOpen();
+    }
+
+    /**
+     * `restoreFocus` puts focus back on the button if it was in the popup;
+     * otherwise focus is dropped, so arrow keys go back to moving.
+     */
+    close(restoreFocus) {
+        if (!this.isOpen) return;
+        if (Popover.current === this) Popover.current = null;
+
+        const hadFocus = this.popupEl.contains(document.activeElement);
+
+        this.isOpen = false;
+        this.buttonEl?.setAttribute('aria-expanded', 'false');
+        this.onClose();
+
+        if (!hadFocus) return;
+        if (restoreFocus) {
+            this.buttonEl?.focus();
+        } else {
+            document.activeElement.blur();
+        }
+    }
+
+    /** Show the popup and move focus into it. */
+    onOpen() {}
+
+    onClose() {}
+}
@@ -0,0 +1,307 @@
+/**
+ * ProfilePanel.js
+ * The navbar's Profile panel — what this browser remembers about the
+ * visitor:
+ *  - journey progress: which stages they have reached
+ *    (GlobalState.visitedScenes) and which of Main Street's districts
+ *  - their enrollment details (GlobalState.userData), editable in place.
+ *    Changes to an application that was already sent are sent again
+ *    under the same reference. Details saved here before applying stay
+ *    in the browser: only the Enrollment Hub sends a first application
+ *  - "Forget me", which hands over to App to wipe everything stored and
+ *    start again as a new visitor
+ *
+ * The content is rebuilt every time the panel opens.
+ */
+
+import OverlayPanel from './OverlayPanel.js';
+import { SCENE_TITLES } from '../data/sceneTitles.js';
+import { INTEREST_OPTIONS, getInterestLabel } from '../data/enrollmentOptions.js';
+import { validateName, validateAge, validateContact, validateRequired, MIN_AGE, MAX_AGE } from '../utils/validation.js';
+
+// Main Street's side districts, in street order
+const DISTRICTS = ['workshopDistrict', 'competitionArena', 'hallOfLegacy'];
+
+const FIELDS = [
+    { key: 'name',     label: 'Name',     type: 'text',   autocomplete: 'name', validate: validateName },
+    { key: 'age',      label: 'Age',      type: 'number', autocomplete: 'off',  validate: validateAge },
+    { key: 'contact',  label: 'Contact',  type: 'text',   autocomplete: 'email', validate: validateContact },
+    { key: 'interest', label: 'Interest', type: 'select', validate: (v) => validateRequired(v, 'Please pick one option.') }
+];
+
+export default class ProfilePanel extends OverlayPanel {
+
+    /**
+     * `sceneKeys` are App's scene keys in journey order (index = GlobalState
+     * scene index); `onForget` wipes the stored data.
+     */
+    constructor(controls, globalState, sceneKeys, onForget) {
+        super(controls, {
+            id:       'profile-panel',
+            buttonId: 'nav-profile',
+            title:    'Your profile',
+            subtitle: 'Saved in this browser only'
+        });
+
+        this.globalState = globalState;
+        this.sceneKeys   = sceneKeys;
+        this.onForget    = onForget;
+        this.editing     = false;
+        this.confirming  = false;
+    }
+
+    onOpen() {
+        this.editing    = false;
+        this.confirming = false;
+        this.render();
+    }
+
+    render() {
+        this.bodyEl.replaceChildren(this.buildJourney(), this.buildDetails(), this.buildForget());
+    }
+
+    /**
+     * Re-render and keep focus in the section the visitor was using — on
+     * its first control, or on "Keep my data" while confirming, so Enter
+     * never deletes by accident.
+     */
+    refresh(section) {
+        this.render();
+        const el = this.bodyEl.querySelector(`.profile-${section}`);
+        const buttons = el.querySelectorAll('button');
+        (section === 'forget' && this.confirming ? buttons[buttons.length - 1] : el.querySelector('input, select, button'))?.focus();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       JOURNEY
+    ══════════════════════════════════════════════════════════════════════ */
+
+    buildJourney() {
+        const section = this.createSection('Journey');
+        const visited = this.globalState.visitedScenes;
+
+        // Stage 0 is the loading screen, not part of the journey
+        const stages  = this.sceneKeys.slice(1).map((key, i) => ({ key, index: i + 1 }));
+        const reached = stages.filter(stage => visited.has(stage.index)).length;
+
+        const summary = document.createElement('p');
+        summary.textContent = `${reached} of ${stages.length} stages reached`;
+
+        const bar = document.createElement('div');
+        bar.className = 'step-progress';
+        bar.innerHTML = '<span></span>';
+        bar.firstChild.style.width = `${(reached / stages.length) * 100}%`;
+
+        const list = document.createElement('ol');
+        list.className = 'profile-stages';
+        stages.forEach(({ key, index }) => {
+            const li = document.createElement('li');
+            li.textContent = SCENE_TITLES[key];
+            li.classList.toggle('visited', visited.has(index));
+            li.classList.toggle('current', index === this.globalState.currentScene);
+            if (index === this.globalState.currentScene) li.setAttribute('aria-current', 'step');
+            li.setAttribute('aria-label', `${SCENE_TITLES[key]}, ${visited.has(index) ? 'reached' : 'not reached yet'}`);
+            list.appendChild(li);
+        });
+
+        const explored = DISTRICTS.filter(key => visited.has(this.sceneKeys.indexOf(key)));
+        const districts = document.createElement('p');
+        districts.className   = 'profile-districts';
+        districts.textContent = explored.length
+            ? `Districts explored: ${explored.map(key => SCENE_TITLES[key]).join(', ')}`
+            : 'No districts explored yet — they branch off Main Street.';
+
+        section.append(summary, bar, list, districts);
+        return section;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ENROLLMENT DETAILS
+    ══════════════════════════════════════════════════════════════════════ */
+
+    buildDetails() {
+        const section = this.createSection('Enrollment details');
+        section.classList.add('profile-details');
+
+        if (this.editing) {
+            section.appendChild(this.buildForm());
+            return section;
+        }
+
+        const data     = this.globalState.userData;
+        const hasData  = FIELDS.some(({ key }) => String(data[key] ?? '').trim());
+
+        if (hasData) {
+            const list = document.createElement('ul');
+            list.className = 'review-list';
+            FIELDS.forEach(({ key, label }) => {
+                const li    = document.createElement('li');
+                const name  = document.createElement('span');
+                const value = document.createElement('span');
+
+                name.className    = 'review-label';
+                name.textContent  = label;
+                value.className   = 'review-value';
+                value.textContent = (key === 'interest' ? getInterestLabel(data[key]) : data[key]) || '—';
+
+                li.append(name, value);
+                list.appendChild(li);
+            });
+            section.appendChild(list);
+
+            const note = document.createElement('p');
+            note.className   = 'settings-hint';
+            note.textContent = data.reference
+                ? `Application ${data.reference}${data.submissionStatus === 'sent' ? ' — received by the club' : ''}`
+                : 'Not sent to the club yet — apply in the Enrollment Hub.';
+            section.appendChild(note);
+        } else {
+            const empty = document.createElement('p');
+            empty.textContent = 'You haven\'t told us anything yet.';
+            section.appendChild(empty);
+        }
+
+        const edit = document.createElement('button');
+        edit.type        = 'button';
+        edit.className   = 'panel-btn';
+        edit.textContent = hasData ? 'Edit details' : 'Add details';
+        edit.addEventListener('click', () => {
+            this.editing = true;
+            this.refresh('details');
+        });
+        section.appendChild(edit);
+
+        return section;
+    }
+
+    buildForm() {
+        const form = document.createElement('form');
+        form.noValidate = true;
+
+        const data = this.globalState.userData;
+        this.inputs = {};
+
+        FIELDS.forEach(({ key, label, type, autocomplete }) => {
+            const input = document.createElement(type === 'select' ? 'select' : 'input');
+            input.id   = `profile-${key}`;
+            input.name = key;
+
+            if (type === 'select') {
+                input.add(new Option('Choose…', ''));
+                INTEREST_OPTIONS.forEach(option => input.add(new Option(option.label, option.value)));
+            } else {
+                input.type         = type;
+                input.autocomplete = autocomplete;
+            }
+            if (type === 'number') {
+                input.min       = String(MIN_AGE);
+                input.max       = String(MAX_AGE);
+                input.inputMode = 'numeric';
+            }
+            input.value = data[key] ?? '';
+
+            this.addField(form, input, label);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-actions';
+        actions.innerHTML = `
+            <button type="submit" class="panel-btn">Save</button>
+            <button type="button" class="panel-btn">Cancel</button>
+        `;
+        actions.lastElementChild.addEventListener('click', () => {
+            this.editing = false;
+            this.refresh('details');
+        });
+        form.appendChild(actions);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        return form;
+    }
+
+    save() {
+        const values = {};
+        let firstInvalid = null;
+
+        FIELDS.forEach(({ key, validate }) => {
+            values[key] = this.inputs[key].value.trim();
+            // Fields can be left empty until the application is sent
+            const error = values[key] || this.globalState.userData.reference ? validate(values[key]) : null;
+            this.showError(key, error);
+            if (error && !firstInvalid) firstInvalid = this.inputs[key];
+        });
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return;
+        }
+
+        const data    = this.globalState.userData;
+        const changed = FIELDS.some(({ key }) => String(data[key] ?? '') !== values[key]);
+
+        this.globalState.saveUserData(values);
+
+        // An application already sent goes out again with the corrections
+        if (changed && data.reference) window.dispatchEvent(new CustomEvent('enrollment-submitted'));
+
+        const message = data.reference ? 'Details saved' : 'Details saved. Apply in the Enrollment Hub to send them.';
+        window.dispatchEvent(new CustomEvent('a11y-announce', { detail: { message } }));
+        this.editing = false;
+        this.refresh('details');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       FORGET ME
+    ══════════════════════════════════════════════════════════════════════ */
+
+    buildForget() {
+        const section = this.createSection('Forget me');
+        section.classList.add('profile-forget');
+
+        const text = document.createElement('p');
+        text.textContent = this.confirming
+            ? 'This deletes your progress, details, best times and settings from this browser and starts the journey again. An application the club has already received isn\'t affected.'
+            : 'Remove everything this browser remembers about you.';
+
+        const actions = document.createElement('div');
+        actions.className = 'panel-actions';
+
+        if (this.confirming) {
+            actions.innerHTML = `
+                <button type="button" class="panel-btn danger">Delete everything</button>
+                <button type="button" class="panel-btn">Keep my data</button>
+            `;
+            actions.firstElementChild.addEventListener('click', () => this.onForget());
+            actions.lastElementChild.addEventListener('click', () => {
+                this.confirming = false;
+                this.refresh('forget');
+            });
+        } else {
+            actions.innerHTML = '<button type="button" class="panel-btn danger">Forget me</button>';
+            actions.firstElementChild.addEventListener('click', () => {
+                this.confirming = true;
+                this.refresh('forget');
+            });
+        }
+
+        section.append(text, actions);
+        return section;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    createSection(title) {
+        const section = document.createElement('section');
+        section.className = 'profile-section';
+
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        return section;
+    }
+}
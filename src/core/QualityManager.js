@@ -0,0 +1,147 @@
+/**
+ * QualityManager.js
+ * Picks the rendering quality tier (see qualityTiers.js) for the device.
+ *
+ * With the visitor's setting on 'auto', App feeds it every frame's
+ * Time.rawDelta and it keeps a rolling average of frame times:
+ *  - above DOWNGRADE_MS for DOWNGRADE_AFTER seconds → one tier down
+ *  - below UPGRADE_MS for UPGRADE_AFTER seconds     → one tier up
+ * The gap between the two thresholds and the longer wait before
+ * upgrading keep it from flickering between tiers. A tier that drops
+ * again soon after an upgrade becomes the ceiling for the rest of the
+ * visit.
+ *
+ * The first tier comes from the visitor's setting, else where the last
+ * visit settled, else a guess from the device (see guessTier).
+ *
+ * Changes are written to GlobalState (scenes read globalState.getQuality())
+ * and announced with a window 'quality-change' event (detail: { tier }).
+ */
+
+import { QUALITY_TIER_ORDER } from '../data/qualityTiers.js';
+
+const SAMPLE_COUNT     = 60;          // frames in the rolling average
+const DOWNGRADE_MS     = 1000 / 45;   // average frame time that counts as struggling
+const UPGRADE_MS       = 1000 / 57;   // …and as comfortable
+const DOWNGRADE_AFTER  = 2;           // seconds of struggling before stepping down
+const UPGRADE_AFTER    = 8;           // seconds of comfort before stepping up
+const SETTLE_TIME      = 1.5;         // seconds ignored after a change or reset()
+const FAILED_UPGRADE   = 10;          // dropping within this many seconds of an upgrade caps the tier
+
+export default class QualityManager {
+
+    constructor(sizes, globalState) {
+        this.sizes       = sizes;
+        this.globalState = globalState;
+
+        this.samples   = [];
+        this.slowTime  = 0;
+        this.fastTime  = 0;
+        this.settle    = SETTLE_TIME;
+        this.ceiling   = QUALITY_TIER_ORDER.length - 1;
+        this.sinceUpgrade = Infinity;
+
+        const preference = globalState.qualityPreference;
+        const tier = preference !== 'auto'
+            ? preference
+            : globalState.getSavedQualityTier() ?? this.guessTier();
+        globalState.setQualityTier(tier);
+    }
+
+    get tier() {
+        return this.globalState.qualityTier;
+    }
+
+    get isAuto() {
+        return this.globalState.qualityPreference === 'auto';
+    }
+
+    /**
+     * Starting tier for a first visit: phones and small or unknown
+     * hardware start lower and earn their way up.
+     */
+    guessTier() {
+        const { isMobile, isTablet, hasCoarsePointer, cpuCores, memoryGB } = this.sizes;
+        const handheld = isMobile || isTablet || hasCoarsePointer;
+        const weak     = (cpuCores !== null && cpuCores <= 4) || (memoryGB !== null && memoryGB <= 4);
+
+        if (handheld && weak) return 'low';
+        if (handheld || weak) return 'medium';
+        return 'high';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Visitor's choice from the settings menu: 'auto' or a tier name. A
+     * fixed tier applies at once; 'auto' carries on from the current tier.
+     */
+    setPreference(preference) {
+        this.globalState.setQualityPreference(preference);
+        this.ceiling = QUALITY_TIER_ORDER.length - 1;
+        this.reset();
+
+        if (preference === 'auto') {
+            this.globalState.setQualityTier(this.tier);
+        } else {
+            this.setTier(preference);
+        }
+    }
+
+    /**
+     * Drop the measurements, e.g. after a scene switch where the first
+     * frames are slow for reasons a lower tier wouldn't fix.
+     */
+    reset() {
+        this.samples  = [];
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.settle   = SETTLE_TIME;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Called by App every frame with Time.rawDelta (seconds, unscaled).
+     * Time caps long frames, so one hitch can't swing the average far.
+     */
+    update(dt) {
+        if (!this.isAuto) return;
+
+        this.sinceUpgrade += dt;
+
+        if (this.settle > 0) {
+            this.settle -= dt;
+            return;
+        }
+        if (dt <= 0) return;
+
+        this.samples.push(dt * 1000);
+        if (this.samples.length > SAMPLE_COUNT) this.samples.shift();
+        if (this.samples.length < SAMPLE_COUNT) return;
+
+        const average = this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+
+        this.slowTime = average > DOWNGRADE_MS ? this.slowTime + dt : 0;
+        this.fastTime = average < UPGRADE_MS   ? this.fastTime + dt : 0;
+
+        const index = QUALITY_TIER_ORDER.indexOf(this.tier);
+
+        if (this.slowTime >= DOWNGRADE_AFTER && index > 0) {
+            // The tier we just climbed to can't hold up; stay below it
+            if (this.sinceUpgrade < FAILED_UPGRADE) this.ceiling = index - 1;
+            this.setTier(QUALITY_TIER_ORDER[index - 1]);
+        } else if (this.fastTime >= UPGRADE_AFTER && index < this.ceiling) {
+            this.sinceUpgrade = 0;
+            this.setTier(QUALITY_TIER_ORDER[index + 1]);
+        }
+    }
+
+    setTier(tier) {
+        this.reset();
+        if (tier === this.tier) return;
+
+        this.globalState.setQualityTier(tier);
+        window.dispatchEvent(new CustomEvent('quality-change', { detail: { tier } }));
+    }
+}
@@ -1,29 +1,35 @@
 /**
  * Renderer.js
  * WebGL renderer setup with pixel ratio and resize handling
+ *
+ * Pixel ratio, shadows and antialiasing follow a quality tier (see
+ * qualityTiers.js), applied with applyQuality(). Antialiasing can only be
+ * chosen when the context is created, so it comes from the starting tier.
  */
 
 import * as THREE from 'three';
 
+const SHADOW_TYPES = {
+    basic: THREE.PCFShadowMap,
+    soft:  THREE.PCFSoftShadowMap
+};
+
 export default class Renderer {
-    constructor(canvas, sizes) {
+    constructor(canvas, sizes, quality) {
         this.canvas = canvas;
         this.sizes = sizes;
+        this.quality = quality;
         
         this.instance = new THREE.WebGLRenderer({
             canvas: this.canvas,
-            antialias: true,
+            antialias: quality.antialias,
             alpha: false,
             powerPreference: 'high-performance'
         });
         
         this.instance.setSize(this.sizes.width, this.sizes.height);
-        this.instance.setPixelRatio(this.sizes.pixelRatio);
         this.instance.setClearColor('#000000', 1);
-        
-        // Enable shadows for better visuals
-        this.instance.shadowMap.enabled = true;
-        this.instance.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.applyQuality(quality);
         
         // Better color management
         this.instance.outputColorSpace = THREE.SRGBColorSpace;
@@ -33,10 +39,33 @@ export default class Renderer {
         // Handle resize
         window.addEventListener('sizes-resize', () => {
             this.instance.setSize(this.sizes.width, this.sizes.height);
-            this.instance.setPixelRatio(this.sizes.pixelRatio);
+            this.instance.setPixelRatio(this.getPixelRatio());
         });
     }
     
+    getPixelRatio() {
+        return Math.min(this.sizes.pixelRatio, this.quality.pixelRatio);
+    }
+    
+    /**
+     * Apply a tier's pixel ratio and shadows. Returns true when the shadow
+     * setup changed, in which case materials already on screen must be
+     * recompiled (see App.onQualityChange).
+     */
+    applyQuality(quality) {
+        const previous = this.quality;
+        this.quality = quality;
+        
+        this.instance.setPixelRatio(this.getPixelRatio());
+        
+        const shadowMap = this.instance.shadowMap;
+        shadowMap.enabled = quality.shadows !== 'off';
+        if (shadowMap.enabled) shadowMap.type = SHADOW_TYPES[quality.shadows];
+        shadowMap.needsUpdate = true;
+        
+        return previous.shadows !== quality.shadows;
+    }
+    
     render(scene, camera) {
         this.instance.render(scene, camera);
     }
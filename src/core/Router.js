@@ -0,0 +1,73 @@
+/**
+ * Router.js
+ * Keeps the URL in step with the current scene, so stages can be linked
+ * to directly and the browser's back / forward buttons move between them.
+ *
+ * Routes live in the hash (#/competition-arena) because the site is
+ * served as static files — a real path like /arena would need server
+ * rewrites. Route names are the GlobalState.sceneNames slugs, plus a
+ * few short aliases for sharing (#/arena, #/enroll …).
+ *
+ * The loading scene never appears in the URL.
+ */
+
+const ROUTE_ALIASES = {
+    gate:       'entry-gate',
+    street:     'main-street',
+    workshop:   'workshop-district',
+    arena:      'competition-arena',
+    hall:       'hall-of-legacy',
+    legacy:     'hall-of-legacy',
+    enroll:     'enrollment-hub',
+    enrollment: 'enrollment-hub',
+    join:       'enrollment-hub'
+};
+
+export default class Router {
+
+    /**
+     * @param {string[]} slugs            GlobalState.sceneNames
+     * @param {(slug: string) => void} onRoute  called on back / forward
+     */
+    constructor(slugs, onRoute) {
+        this.slugs   = slugs;
+        this.onRoute = onRoute;
+
+        window.addEventListener('popstate', () => {
+            const slug = this.getRoute();
+            if (slug) this.onRoute(slug);
+        });
+    }
+
+    /** Scene slug in the current URL, or null if there is none / it's unknown. */
+    getRoute() {
+        return this.resolve(window.location.hash);
+    }
+
+    resolve(hash) {
+        let name;
+        try {
+            name = decodeURIComponent(hash.replace(/^#\/?/, '')).trim().toLowerCase();
+        } catch (_) { return null; }   // malformed escape, e.g. #/%E0
+
+        const slug = ROUTE_ALIASES[name] || name;
+        return slug && slug !== 'loading' && this.slugs.includes(slug) ? slug : null;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Record a scene in the URL. Adds a history entry unless the URL
+     * already shows it (e.g. after back / forward) or `replace` is set.
+     */
+    navigate(slug, { replace = false } = {}) {
+        if (slug === 'loading' || this.getRoute() === slug) return;
+
+        const url = `${window.location.pathname}${window.location.search}#/${slug}`;
+        if (replace) {
+            history.replaceState({ scene: slug }, '', url);
+        } else {
+            history.pushState({ scene: slug }, '', url);
+        }
+    }
+}
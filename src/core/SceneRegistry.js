@@ -0,0 +1,113 @@
+/**
+ * SceneRegistry.js
+ * Loads scene modules on demand with dynamic import(), together with the
+ * assets listed for them in data/sceneAssets.js.
+ *
+ *  - load(key)              → module + assets, resolves with the scene class
+ *  - prefetchNext(key)      → quietly loads the scene the visitor is most
+ *                             likely to open next from `key`
+ *  - releaseUnreachable(key)→ forgets scenes that can't be reached from
+ *                             `key` in one step and frees their assets
+ *
+ * SCENE_LINKS mirrors the 'scene-request' events each scene can fire, so
+ * it needs updating when a scene gains a new exit.
+ */
+
+// ── Scene key → module loader. Any other key fails to load. ──────────────────
+const SCENE_MODULES = {
+    loading:          () => import('../scenes/LoadingScene.js'),
+    entryGate:        () => import('../scenes/EntryGateScene.js'),
+    mainStreet:       () => import('../scenes/MainStreetScene.js'),
+    workshopDistrict: () => import('../scenes/WorkshopDistrictScene.js'),
+    competitionArena: () => import('../scenes/CompetitionArenaScene.js'),
+    hallOfLegacy:     () => import('../scenes/HallOfLegacyScene.js'),
+    enrollmentHub:    () => import('../scenes/EnrollmentHubScene.js'),
+    exitConfirmation: () => import('../scenes/ExitConfirmationScene.js')
+};
+
+// ── Where each scene can lead, most likely first ─────────────────────────────
+const SCENE_LINKS = {
+    loading:          ['entryGate'],
+    entryGate:        ['mainStreet'],
+    mainStreet:       ['workshopDistrict', 'competitionArena', 'hallOfLegacy', 'enrollmentHub'],
+    workshopDistrict: ['mainStreet'],
+    competitionArena: ['mainStreet'],
+    hallOfLegacy:     ['mainStreet'],
+    enrollmentHub:    ['exitConfirmation', 'mainStreet'],
+    exitConfirmation: ['mainStreet', 'enrollmentHub']
+};
+
+export default class SceneRegistry {
+
+    /**
+     * @param {AssetManager} assetManager
+     * @param {(key: string) => boolean} isVisited  used to pick what to prefetch
+     */
+    constructor(assetManager, isVisited = () => false) {
+        this.assetManager = assetManager;
+        this.isVisited    = isVisited;
+
+        this.classes = new Map();   // key → scene class, once loaded
+        this.loading = new Map();   // key → Promise<class>, while loading
+    }
+
+    has(key) {
+        return key in SCENE_MODULES;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Import a scene's module and load its assets. Resolves with the scene
+     * class; rejects for a key with no module. `onProgress` receives the
+     * asset progress (0–1).
+     */
+    load(key, onProgress) {
+        if (!this.has(key))        return Promise.reject(new Error(`No module for scene "${key}"`));
+        if (this.classes.has(key)) return Promise.resolve(this.classes.get(key));
+        if (this.loading.has(key)) return this.loading.get(key);
+
+        const promise = Promise.all([
+            SCENE_MODULES[key](),
+            this.assetManager.loadScene(key, onProgress)
+        ]).then(([module]) => {
+            this.classes.set(key, module.default);
+            return module.default;
+        }).finally(() => {
+            this.loading.delete(key);
+        });
+
+        this.loading.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Load the most likely next scene in the background: the first
+     * unvisited exit, or the first exit if everything has been seen.
+     */
+    prefetchNext(key) {
+        const links = SCENE_LINKS[key] || [];
+        const next  = links.find(link => !this.isVisited(link)) || links[0];
+        if (!next || this.classes.has(next)) return;
+
+        const idle = window.requestIdleCallback || ((cb) => setTimeout(cb, 200));
+        idle(() => {
+            this.load(next).catch(err => console.warn(`Prefetch of "${next}" failed:`, err));
+        });
+    }
+
+    /**
+     * Drop every loaded scene that isn't `key` or one of its exits, and
+     * free the assets only those scenes were using.
+     */
+    releaseUnreachable(key) {
+        const keep = new Set([key, ...(SCENE_LINKS[key] || [])]);
+
+        [...this.classes.keys()]
+            .filter(loaded => !keep.has(loaded))
+            .forEach(loaded => {
+                this.classes.delete(loaded);
+                this.assetManager.releaseScene(loaded, [...keep]);
+            });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * SettingsMenu.js
+ * The ⚙ button in the top-right corner and the drop-down it opens.
+ *
+ * The menu is a list of option groups, each a labelled set of radio
+ * buttons. Systems add their own with addGroup():
+ *
+ *   settings.addGroup({
+ *       id:       'motion',
+ *       legend:   'Motion',
+ *       hint:     'Reduced swaps animations for gentle fades.',
+ *       options:  [{ value: 'system', label: 'Match my device' }, …],
+ *       getValue: () => globalState.motionPreference,
+ *       onChange: (value) => globalState.setMotionPreference(value)
+ *   });
+ *
+ * Esc, the button or a click outside closes the menu (see Popover).
+ */
+
+import Popover from './Popover.js';
+
+export default class SettingsMenu extends Popover {
+
+    constructor() {
+        super();
+        this.groups = [];
+
+        this.createButton();
+        this.createPanel();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    createButton() {
+        const btn = document.createElement('button');
+        btn.id        = 'settings-toggle';
+        btn.type      = 'button';
+        btn.className = 'ui-element';
+        btn.title     = 'Settings';
+        btn.textContent = '⚙';
+        btn.setAttribute('aria-label', 'Settings');
+        btn.setAttribute('aria-haspopup', 'true');
+
+        (document.getElementById('ui-container') || document.body).appendChild(btn);
+        this.setButton(btn, 'settings-menu');
+    }
+
+    createPanel() {
+        const panel = document.createElement('section');
+        panel.id        = 'settings-menu';
+        panel.className = 'glass-panel';
+        panel.hidden    = true;
+        panel.setAttribute('aria-label', 'Settings');
+        panel.innerHTML = '<h2>Settings</h2>';
+
+        document.body.appendChild(panel);
+        this.popupEl = panel;
+    }
+
+    /**
+     * Add a group of radio options. Returns a function that re-reads the
+     * group's value, for settings that can also change elsewhere.
+     */
+    addGroup({ id, legend, hint = '', options, getValue, onChange }) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'settings-group';
+        fieldset.innerHTML = `<legend>${legend}</legend>`;
+
+        options.forEach(({ value, label }) => {
+            const row   = document.createElement('label');
+            const input = document.createElement('input');
+            input.type  = 'radio';
+            input.name  = `setting-${id}`;
+            input.value = value;
+            input.addEventListener('change', () => {
+                if (input.checked) onChange(value);
+            });
+
+            row.appendChild(input);
+            row.append(` ${label}`);
+            fieldset.appendChild(row);
+        });
+
+        if (hint) {
+            const p = document.createElement('p');
+            p.className   = 'settings-hint';
+            p.textContent = hint;
+            fieldset.appendChild(p);
+        }
+
+        this.popupEl.appendChild(fieldset);
+
+        const refresh = () => {
+            const current = getValue();
+            fieldset.querySelectorAll('input').forEach(input => { input.checked = input.value === current; });
+        };
+        this.groups.push(refresh);
+        refresh();
+        return refresh;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    onOpen() {
+        this.groups.forEach(refresh => refresh());
+        this.popupEl.hidden = false;
+
+        // Start keyboard users on the selected option of the first group
+        (this.popupEl.querySelector('input:checked') ?? this.popupEl.querySelector('input'))?.focus();
+    }
+
+    onClose() {
+        this.popupEl.hidden = true;
+    }
+}
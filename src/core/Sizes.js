@@ -12,9 +12,16 @@ export default class Sizes {
         this.pixelRatio = Math.min(window.devicePixelRatio, 2);
         
         // Device detection
-        this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        this.isMobile = navigator.userAgentData?.mobile ||
+            /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         this.isTablet = /(tablet|ipad|playbook|silk)|(android(?!.*mobi))/i.test(navigator.userAgent);
         this.isDesktop = !this.isMobile && !this.isTablet;
+
+        // Hardware hints (QualityManager's starting guess); either may be
+        // missing, e.g. deviceMemory outside Chromium
+        this.hasCoarsePointer = window.matchMedia?.('(pointer: coarse)').matches ?? false;
+        this.cpuCores  = navigator.hardwareConcurrency ?? null;
+        this.memoryGB  = navigator.deviceMemory ?? null;
         
         // Orientation
         this.isPortrait = this.height > this.width;
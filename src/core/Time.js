@@ -1,29 +1,116 @@
 /**
  * Time.js
- * Handles time, delta time, and elapsed time
+ * The app's clock, advanced once per animation frame.
+ *
+ * UNITS: seconds, everywhere. Scenes get them straight from App:
+ * update(elapsed, delta, alpha) every frame and fixedUpdate(step) for
+ * anything that must step deterministically (the arena's robot physics).
+ *
+ *  - delta      → seconds since the last frame, × timeScale. A frame longer
+ *                 than MAX_DELTA (a stall, a throttled background tab)
+ *                 counts as MAX_DELTA
+ *  - elapsed    → the sum of delta: scaled time, with pauses left out
+ *  - rawDelta   → the same frame time, unscaled (for frame-rate
+ *                 measurements, see QualityManager)
+ *  - fixedStep  → length of one simulation step
+ *  - steps      → simulation steps due this frame (0…MAX_STEPS); App runs
+ *                 fixedUpdate(fixedStep) that many times before update()
+ *  - alpha      → 0–1, how far this frame lies between the last step and
+ *                 the next; draw simulated objects at
+ *                 previous + (current − previous) × alpha
+ *  - timeScale  → 1 normal, < 1 slow motion, 0 frozen (frames still
+ *                 render). For debugging: app.time.setTimeScale(0.25)
+ *
+ * Fires a window 'tick' event per frame. pause() / resume() stop and
+ * restart the clock (see PauseManager).
  */
 
+const FIXED_STEP = 1 / 60;   // s
+const MAX_DELTA  = 0.1;      // s
+const MAX_STEPS  = 8;        // per frame; past this the simulation falls behind rather than spiralling
+
 export default class Time {
     constructor() {
-        this.start = Date.now();
+        this.start = performance.now();
         this.current = this.start;
         this.elapsed = 0;
-        this.delta = 16; // ~60fps initial
-        
+        this.delta = 0;
+        this.rawDelta = 0;
+        this.timeScale = 1;
+
+        this.fixedStep = FIXED_STEP;
+        this.accumulator = 0;
+        this.steps = 0;
+        this.alpha = 0;
+
+        this.isPaused = false;
+        this.frame = null;
+
         // Start the clock
         this.tick();
     }
-    
+
     tick() {
-        const currentTime = Date.now();
-        this.delta = currentTime - this.current;
+        const currentTime = performance.now();
+        this.rawDelta = Math.min((currentTime - this.current) / 1000, MAX_DELTA);
         this.current = currentTime;
-        this.elapsed = this.current - this.start;
-        
+
+        this.delta = this.rawDelta * this.timeScale;
+        this.elapsed += this.delta;
+        this.advanceSimulation();
+
         // Trigger tick event
         window.dispatchEvent(new Event('tick'));
-        
+
         // Continue the loop
-        window.requestAnimationFrame(() => this.tick());
+        this.frame = window.requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Count the fixed steps that fit in the time since the last frame; the
+     * remainder carries over and sets alpha.
+     */
+    advanceSimulation() {
+        this.accumulator += this.delta;
+        this.steps = Math.floor(this.accumulator / this.fixedStep);
+
+        if (this.steps > MAX_STEPS) {
+            // Drop the backlog instead of trying to catch up
+            this.steps = MAX_STEPS;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= this.steps * this.fixedStep;
+        }
+
+        this.alpha = this.accumulator / this.fixedStep;
+    }
+
+    /**
+     * Speed up (> 1), slow down (< 1) or freeze (0) scene time. Rendering
+     * carries on at the normal frame rate.
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Stop ticking; no 'tick' events until resume().
+     */
+    pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        window.cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    /**
+     * Carry on from where pause() stopped: the first frame back gets an
+     * ordinary delta rather than the length of the pause.
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.current = performance.now() - this.fixedStep * 1000;
+        this.frame = window.requestAnimationFrame(() => this.tick());
     }
-}
\ No newline at end of file
+}
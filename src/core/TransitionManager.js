@@ -0,0 +1,196 @@
+/**
+ * TransitionManager.js
+ * Animated hand-over between two scenes, driven by the render loop.
+ *
+ * Usage (App.switchScene):
+ *   1. capture(oldScene)  — freeze the outgoing scene's last frame into a
+ *                           render target, before the incoming scene moves
+ *                           the shared camera
+ *   2. build the incoming scene
+ *   3. play(name)         — resolves once the incoming scene is fully on
+ *                           screen; only then is the old scene disposed
+ *
+ * While a transition runs, App renders through render() instead of the
+ * renderer directly, and pointer / key input is blocked.
+ *
+ * Effects are classes with { duration, material, setProgress(t), dispose() }
+ * and optional beforeRender(camera) / afterRender(camera) hooks; new ones
+ * are added with register().
+ */
+
+import * as THREE from 'three';
+import CrossFadeTransition  from '../transitions/CrossFadeTransition.js';
+import DissolveTransition   from '../transitions/DissolveTransition.js';
+import FlyThroughTransition from '../transitions/FlyThroughTransition.js';
+
+export const DEFAULT_TRANSITION = 'crossFade';
+
+export default class TransitionManager {
+
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        this.effects = {
+            crossFade:  CrossFadeTransition,
+            dissolve:   DissolveTransition,
+            flyThrough: FlyThroughTransition
+        };
+
+        this.fromTarget = null;   // frozen outgoing frame
+        this.toTarget   = null;   // live incoming frame
+        this.active     = null;   // { effect, elapsed, resolve }
+
+        // Full-screen quad the effects draw with
+        this.quadScene  = new THREE.Scene();
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad       = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.quadScene.add(this.quad);
+
+        this.blockKeys = (e) => e.stopImmediatePropagation();
+
+        window.addEventListener('sizes-resize', () => this.resize());
+    }
+
+    get isActive() {
+        return this.active !== null;
+    }
+
+    register(name, EffectClass) {
+        this.effects[name] = EffectClass;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Freeze the current frame of `scene` (a THREE.Scene, or null for a
+     * black frame) as the starting image of the next transition.
+     */
+    capture(scene, camera) {
+        if (!this.fromTarget) this.fromTarget = this.createTarget();
+
+        const gl = this.renderer.instance;
+        gl.setRenderTarget(this.fromTarget);
+        if (scene) {
+            gl.render(scene, camera);
+        } else {
+            gl.clear();
+        }
+        gl.setRenderTarget(null);
+    }
+
+    /**
+     * Start the named effect from the captured frame. Resolves when the
+     * incoming scene is fully visible.
+     */
+    play(name = DEFAULT_TRANSITION, options = {}) {
+        const EffectClass = this.effects[name] || this.effects[DEFAULT_TRANSITION];
+        if (!this.effects[name]) console.warn(`Unknown transition "${name}" — using ${DEFAULT_TRANSITION}`);
+
+        if (!this.toTarget) this.toTarget = this.createTarget();
+
+        const effect = new EffectClass(options);
+        effect.material.uniforms.tFrom.value = this.fromTarget.texture;
+        effect.material.uniforms.tTo.value   = this.toTarget.texture;
+        effect.setProgress(0);
+        this.quad.material = effect.material;
+
+        this.blockInput(true);
+
+        return new Promise((resolve) => {
+            this.active = { effect, elapsed: 0, resolve };
+        });
+    }
+
+    /**
+     * Draw one frame of the running transition. `dt` in seconds, as App
+     * receives it from Time.
+     */
+    render(scene, camera, dt) {
+        const { effect } = this.active;
+
+        this.active.elapsed += dt;
+        const t = Math.min(this.active.elapsed / effect.duration, 1);
+        effect.setProgress(t);
+
+        const gl = this.renderer.instance;
+        gl.setRenderTarget(this.toTarget);
+        if (scene) {
+            effect.beforeRender?.(camera);
+            gl.render(scene, camera);
+            effect.afterRender?.(camera);
+        } else {
+            gl.clear();
+        }
+        gl.setRenderTarget(null);
+
+        gl.render(this.quadScene, this.quadCamera);
+
+        if (t >= 1) this.finish();
+    }
+
+    /**
+     * End the running transition now (e.g. another switch was requested
+     * mid-way). The next frame renders the incoming scene directly.
+     */
+    finish() {
+        if (!this.active) return;
+
+        const { effect, resolve } = this.active;
+        this.active = null;
+
+        effect.dispose();
+        this.blockInput(false);
+
+        // Free the frame buffers between transitions (they're screen-sized)
+        this.fromTarget?.dispose();
+        this.toTarget?.dispose();
+        this.fromTarget = null;
+        this.toTarget   = null;
+
+        resolve();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    createTarget() {
+        const { x, y } = this.getTargetSize();
+        return new THREE.WebGLRenderTarget(x, y, { type: THREE.HalfFloatType });
+    }
+
+    /** Match the targets to the drawing buffer (after a resize or pixel ratio change). */
+    resize() {
+        const { x, y } = this.getTargetSize();
+        this.fromTarget?.setSize(x, y);
+        this.toTarget?.setSize(x, y);
+    }
+
+    getTargetSize() {
+        return this.renderer.instance.getDrawingBufferSize(new THREE.Vector2());
+    }
+
+    /**
+     * Swallow pointer and key input while a transition runs, so nothing
+     * in either scene can be triggered half-way. Key-ups still go through
+     * so held keys don't get stuck.
+     */
+    blockInput(blocked) {
+        if (blocked && !this.blockerEl) {
+            const el = document.createElement('div');
+            el.id = 'transition-blocker';
+            Object.assign(el.style, {
+                position: 'fixed',
+                inset:    '0',
+                zIndex:   '999',
+                cursor:   'wait'
+            });
+            document.body.appendChild(el);
+            this.blockerEl = el;
+            window.addEventListener('keydown', this.blockKeys, true);
+        } else if (!blocked && this.blockerEl) {
+            this.blockerEl.remove();
+            this.blockerEl = null;
+            window.removeEventListener('keydown', this.blockKeys, true);
+        }
+    }
+}
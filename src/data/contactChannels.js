@@ -0,0 +1,40 @@
+/**
+ * contactChannels.js
+ * How to reach the club, as listed in the Contact panel (see ContactPanel).
+ *
+ *   type   → 'email' gets a copy button; any other type is a plain entry
+ *   label  → shown above the value
+ *   value  → what the visitor reads (and copies, for email)
+ *   href   → optional link (mailto:, tel:, https://)
+ *
+ * Fill in the club's real details before deploying. A channel with no
+ * value is left out of the panel, so nothing made up is ever shown.
+ */
+
+export const CONTACT_EMAIL = '';   // e.g. 'hello@club.example'
+export const CONTACT_PHONE = '';   // as written for visitors, e.g. '+1 555 0100'
+
+export const CONTACT_CHANNELS = [
+    {
+        type:  'email',
+        label: 'Email',
+        value: CONTACT_EMAIL,
+        href:  `mailto:${CONTACT_EMAIL}`
+    },
+    {
+        type:  'phone',
+        label: 'Phone',
+        value: CONTACT_PHONE,
+        href:  `tel:${CONTACT_PHONE.replace(/[^\d+]/g, '')}`
+    },
+    {
+        type:  'visit',
+        label: 'Visit the workshop',
+        value: ''   // opening hours, e.g. 'Tuesdays & Thursdays, 16:00–19:00'
+    }
+];
+
+/** The channels that have been filled in. */
+export function getContactChannels() {
+    return CONTACT_CHANNELS.filter(channel => channel.value.trim());
+}
@@ -0,0 +1,19 @@
+/**
+ * enrollmentOptions.js
+ * Choices offered by the enrollment form. `value` is what gets stored in
+ * GlobalState.userData.interest; `label` is what the visitor sees.
+ */
+
+export const INTEREST_OPTIONS = [
+    { value: 'mechanics',    label: 'Mechanics & CAD — designing and building robots' },
+    { value: 'electronics',  label: 'Electronics — circuits, sensors and PCBs' },
+    { value: 'programming',  label: 'Programming & AI — making robots think' },
+    { value: 'competitions', label: 'Competitions — racing and challenges' },
+    { value: 'undecided',    label: 'Not sure yet — I want to try everything' }
+];
+
+/** Human-readable label for a stored interest value. */
+export function getInterestLabel(value) {
+    const option = INTEREST_OPTIONS.find(o => o.value === value);
+    return option ? option.label.split(' — ')[0] : value;
+}
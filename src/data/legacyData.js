@@ -0,0 +1,56 @@
+/**
+ * legacyData.js
+ * Past seasons, competitions and teams shown in the Hall of Legacy.
+ *
+ * HallOfLegacyScene builds one plinth per competition entry from this list,
+ * newest season first, so adding a season is a data-only change: append an
+ * object below and the hall grows to fit.
+ *
+ * The list below holds a single example entry, labelled as such. Replace it
+ * with the club's real seasons, results and team members (with their
+ * consent) before deploying — nothing here may be shown as the club's
+ * history unless it happened.
+ *
+ * Fields:
+ *   season        Display label for the season (e.g. '2024–25')
+ *   competitions  Entries for that season:
+ *     id          Unique slug (used for focus / deep links)
+ *     name        Competition name
+ *     category    Short category line shown under the name
+ *     placement   Numeric placement (1, 2, 3 …) or null for awards
+ *     award       Award title when placement is null (or in addition to it)
+ *     team        Team name
+ *     members     Team member names
+ *     summary     One or two sentences for the detail panel
+ *     photo       Optional image path relative to the repo root,
+ *                 e.g. 'assets/images/legacy/2024-wro.jpg'
+ */
+
+export const LEGACY_SEASONS = [
+    {
+        season: 'Example season',
+        competitions: [
+            {
+                id: 'example-entry',
+                name: 'Example competition',
+                category: 'Sample entry — not a real result',
+                placement: 1,
+                award: null,
+                team: 'Example team',
+                members: ['Member names go here'],
+                summary: 'Placeholder — the club\'s real competition results will appear here.',
+                photo: null
+            }
+        ]
+    }
+];
+
+/**
+ * Flatten seasons into a single newest-first list of entries,
+ * each tagged with its season label.
+ */
+export function getLegacyEntries() {
+    return LEGACY_SEASONS.flatMap(({ season, competitions }) =>
+        competitions.map(entry => ({ ...entry, season }))
+    );
+}
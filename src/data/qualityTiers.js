@@ -0,0 +1,42 @@
+/**
+ * qualityTiers.js
+ * Rendering quality tiers, cheapest first. QualityManager steps between
+ * them; scenes read the active one with globalState.getQuality().
+ *
+ *  - pixelRatio  → upper bound on the device pixel ratio
+ *  - shadows     → 'off' | 'basic' (PCF) | 'soft' (PCF soft)
+ *  - antialias   → MSAA; fixed when the WebGL context is created, so a
+ *                  change only takes effect on the next load
+ *  - particles   → fraction of each scene's particle / confetti count
+ *  - postEffects → full-screen transition effects (dissolve, fly-through);
+ *                  off falls back to a plain cross-fade
+ */
+
+export const QUALITY_TIER_ORDER = ['low', 'medium', 'high'];
+
+export const QUALITY_TIERS = {
+    low: {
+        label:       'Low',
+        pixelRatio:  1,
+        shadows:     'off',
+        antialias:   false,
+        particles:   0.35,
+        postEffects: false
+    },
+    medium: {
+        label:       'Medium',
+        pixelRatio:  1.5,
+        shadows:     'basic',
+        antialias:   false,
+        particles:   0.7,
+        postEffects: true
+    },
+    high: {
+        label:       'High',
+        pixelRatio:  2,
+        shadows:     'soft',
+        antialias:   true,
+        particles:   1,
+        postEffects: true
+    }
+};
@@ -0,0 +1,60 @@
+/**
+ * sceneAssets.js
+ * Files each scene needs before it is shown, keyed by scene key
+ * (the same keys App uses). AssetManager.loadScene() reads this list;
+ * scenes then fetch the loaded files with getTexture() / getModel() /
+ * getAudio() using the exported URLs.
+ *
+ *   textures → images for THREE.TextureLoader
+ *   models   → .glb / .gltf files for GLTFLoader
+ *   audio    → sound files (mp3 / ogg / wav), loaded as ArrayBuffers
+ *   music    → looping music track while the scene is on screen
+ *   ambience → looping background sound, likewise
+ *
+ * music / ambience are single URLs and are preloaded along with `audio`.
+ * AudioManager.setSceneAudio() cross-fades between scenes' tracks; a scene
+ * listing the same track as the last one keeps it playing. Put sound files
+ * under assets/audio/ and reference them with assetUrl(), e.g.
+ *
+ *   mainStreet: { ambience: assetUrl('assets/audio/street-ambience.mp3') }
+ */
+
+import { getLegacyEntries } from './legacyData.js';
+
+/** Resolve a path relative to the repo root. */
+export const assetUrl = (path) => new URL(`../../${path}`, import.meta.url).href;
+
+export const LOGO_URL        = assetUrl("assets/images/unimate's logo.jpeg");
+export const SPHERE_LOGO_URL = assetUrl("assets/images/unimate's Sphere logo.png");
+
+export const SCENE_ASSETS = {
+    loading:          {},
+    entryGate:        { textures: [LOGO_URL] },
+    mainStreet:       {},
+    workshopDistrict: {},
+    competitionArena: {},
+    hallOfLegacy:     {
+        textures: getLegacyEntries().filter(entry => entry.photo).map(entry => assetUrl(entry.photo))
+    },
+    enrollmentHub:    { textures: [SPHERE_LOGO_URL] },
+    exitConfirmation: { textures: [SPHERE_LOGO_URL] }
+};
+
+/** Asset lists for a scene, with empty arrays for missing kinds. */
+export function getSceneAssets(sceneName) {
+    const assets = SCENE_ASSETS[sceneName] || {};
+    return {
+        textures: assets.textures || [],
+        models:   assets.models   || [],
+        audio:    [...(assets.audio || []), assets.music, assets.ambience].filter(Boolean)
+    };
+}
+
+/** The looping tracks a scene plays (null = silence on that channel). */
+export function getSceneAudio(sceneName) {
+    const assets = SCENE_ASSETS[sceneName] || {};
+    return {
+        music:    assets.music    || null,
+        ambience: assets.ambience || null
+    };
+}
@@ -0,0 +1,17 @@
+/**
+ * sceneTitles.js
+ * Human-readable stage names, keyed by scene key (the same keys App uses).
+ * Used wherever a scene is named to the visitor outside the 3D view —
+ * screen-reader announcements, the canvas' text alternative.
+ */
+
+export const SCENE_TITLES = {
+    loading:          'Welcome',
+    entryGate:        'Academy Gate',
+    mainStreet:       'Main Street',
+    workshopDistrict: 'Workshop District',
+    competitionArena: 'Competition Arena',
+    hallOfLegacy:     'Hall of Legacy',
+    enrollmentHub:    'Enrollment Hub',
+    exitConfirmation: 'Application Sent'
+};
@@ -0,0 +1,212 @@
+/**
+ * BaseScene.js
+ * The contract every stage follows. App drives it, in this order:
+ *
+ *   new Scene(camera, audioManager, globalState, controls)
+ *                         build the THREE.Scene (`this.scene`) and the
+ *                         scene's own DOM. Leave shared state alone — the
+ *                         outgoing scene is still on screen and owns the
+ *                         camera, controls and keyboard
+ *   await preload()       anything async needed before the scene is shown
+ *   outgoing.exit(to)     the outgoing scene stops reacting to input; it
+ *                         keeps rendering until the transition ends
+ *   enter(from)           place the camera, start listening, begin playing
+ *   fixedUpdate(step)     0…n times a frame, fixed-length simulation steps
+ *   update(elapsed, delta, alpha)
+ *                         every frame. All in seconds — see Time
+ *   resize(sizes)         after the viewport changed
+ *   onPause() / onResume()
+ *                         tab hidden or paused by the visitor (PauseManager)
+ *   dispose()             after the transition: free GPU memory, remove DOM
+ *
+ * `from` / `to` are App scene keys ('mainStreet', …), or null.
+ *
+ * Scenes declare what they need from the shared controls and UI as static
+ * fields; App applies them when the scene enters:
+ *
+ *   static permissions = { look: false };          // merged over DEFAULT_PERMISSIONS
+ *   static ui = ['navbar', 'progress'];            // replaces DEFAULT_UI
+ *
+ *   - look → dragging / swiping turns the camera (otherwise drags are
+ *            collected for the scene, see Controls.consumeDrag)
+ *   - move → wheel, vertical swipes and the ↑ / ↓ buttons produce movement
+ *   UI names are keys of App's SCENE_UI map (arrows, cameraMode, navbar,
+ *   progress).
+ *
+ * Helpers: addDom(el) appends an element that dispose() removes again;
+ * listen(target, type, fn) adds a listener that exit() removes again;
+ * addSound(object, options) puts a positional SoundEmitter on an object —
+ * start it with play() in enter(); exit() fades it out. addHint(text) and
+ * addBackButton() add the shared hint line and "← Main Street" button.
+ *
+ * Walkable scenes with both a free-walk Locomotion (`this.locomotion`)
+ * and a CameraRail (`this.rail`) call followCameraMode() every frame;
+ * `this.walker` is whichever one the visitor's camera mode picks.
+ */
+
+import * as THREE from 'three';
+import SoundEmitter from '../SoundEmitter.js';
+
+export const DEFAULT_PERMISSIONS = { look: true, move: true };
+export const DEFAULT_UI          = ['arrows', 'navbar', 'progress'];
+
+const SOUND_FADE = 1;   // s, positional sounds fade out as the scene is left
+
+export default class BaseScene {
+
+    constructor(camera, audioManager, globalState, controls) {
+        this.camera       = camera;
+        this.audioManager = audioManager;
+        this.globalState  = globalState;
+        this.controls     = controls;
+
+        this.scene = new THREE.Scene();
+
+        this.domElements = [];
+        this.listeners   = [];
+        this.emitters    = [];
+    }
+
+    /** Controls this scene allows, defaults filled in. */
+    get permissions() {
+        return { ...DEFAULT_PERMISSIONS, ...this.constructor.permissions };
+    }
+
+    /** Shared UI elements this scene shows. */
+    get ui() {
+        return this.constructor.ui ?? DEFAULT_UI;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       LIFECYCLE  — override what the scene needs
+    ══════════════════════════════════════════════════════════════════════ */
+
+    preload() {
+        return Promise.resolve();
+    }
+
+    enter(from) {}
+
+    exit(to) {
+        this.stopListening();
+        this.emitters.forEach(emitter => emitter.stop(SOUND_FADE));
+    }
+
+    fixedUpdate(step) {}
+
+    update(elapsed, delta, alpha) {}
+
+    resize(sizes) {}
+
+    onPause() {}
+
+    onResume() {}
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return '';
+    }
+
+    getHotspots() {
+        return [];
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       HELPERS
+    ══════════════════════════════════════════════════════════════════════ */
+
+    addDom(el, parent = document.body) {
+        parent.appendChild(el);
+        this.domElements.push(el);
+        return el;
+    }
+
+    listen(target, type, fn) {
+        target.addEventListener(type, fn);
+        this.listeners.push({ target, type, fn });
+    }
+
+    addSound(object, options) {
+        const emitter = new SoundEmitter(this.audioManager, options);
+        object.add(emitter);
+        this.emitters.push(emitter);
+        return emitter;
+    }
+
+    /** Hint line below the top edge; hideHint() fades it out. */
+    addHint(text = '') {
+        const el = document.createElement('div');
+        el.className   = 'scene-hint';
+        el.textContent = text;
+
+        this.hintEl = this.addDom(el);
+        return el;
+    }
+
+    hideHint() {
+        this.hintEl?.classList.add('hidden');
+    }
+
+    /** "← Main Street" in the top-left corner; by default it goes there. */
+    addBackButton(onClick = () => window.dispatchEvent(new CustomEvent('scene-request', { detail: { scene: 'mainStreet' } }))) {
+        const btn = document.createElement('button');
+        btn.type        = 'button';
+        btn.className   = 'panel-btn scene-back-btn';
+        btn.textContent = '← Main Street';
+        btn.addEventListener('click', onClick);
+
+        this.backBtn = this.addDom(btn);
+        return btn;
+    }
+
+    /** Swap walkers when the visitor changes camera mode. */
+    followCameraMode() {
+        const guided = this.globalState.isGuided();
+        if (guided !== this.guided) this.setGuided(guided);
+    }
+
+    /**
+     * Swap between free walking and the rail, keeping the visitor where
+     * they are.
+     */
+    setGuided(guided) {
+        const from = this.walker;
+
+        this.guided = guided;
+        this.walker = guided ? this.rail : this.locomotion;
+        if (from) this.walker.setPosition(from.position.x, from.position.z);
+    }
+
+    stopListening() {
+        this.listeners.forEach(({ target, type, fn }) => target.removeEventListener(type, fn));
+        this.listeners = [];
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       DISPOSE
+    ══════════════════════════════════════════════════════════════════════ */
+
+    dispose() {
+        this.stopListening();
+
+        this.domElements.forEach(el => el.remove());
+        this.domElements = [];
+
+        this.emitters.forEach(emitter => emitter.dispose());
+        this.emitters = [];
+
+        this.scene.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                materials.forEach(m => {
+                    if (m.map) m.map.dispose();
+                    m.dispose();
+                });
+            }
+        });
+    }
+}
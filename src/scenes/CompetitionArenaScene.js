@@ -0,0 +1,755 @@
+/**
+ * CompetitionArenaScene.js
+ * Stage 5 — Competition Arena
+ *
+ * A small timed challenge: steer the club's competition robot through a
+ * course of numbered gates, in order, without clipping the cones.
+ *
+ * Scoring:
+ *  - +100 per gate cleared
+ *  - −20 per obstacle hit (with a short cooldown so one bump counts once)
+ *  - finish bonus of 10 points per second under PAR_TIME
+ * The best finishing time is kept through GlobalState.saveBestTime().
+ *
+ * Controls while driving:
+ *  - Keyboard: W / ↑ accelerate, S / ↓ reverse, A / ← and D / → steer
+ *  - Desktop arrows: ↑ / ↓ nudge the throttle, ← / → nudge the steering
+ *  - Touch / mouse: hold to drive, drag left / right to steer
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+import { createCrowdMurmur } from '../utils/SynthSounds.js';
+
+const CHALLENGE_ID = 'arena-gates';
+
+// ─── Arena layout (world units ≈ metres) ─────────────────────────────────────
+const ARENA_HALF_X = 12;
+const ARENA_HALF_Z = 8;
+const START        = { x: -9, z: 5.5, heading: Math.PI / 2 }; // facing +X
+
+/** Gates in the order they must be passed. The last one is the finish. */
+const GATES = [
+    { x: -3, z:  5.5, rot: Math.PI / 2 },
+    { x:  4, z:  3,   rot: Math.PI / 3 },
+    { x:  8, z: -2,   rot: 0 },
+    { x:  2, z: -5.5, rot: -Math.PI / 2 },
+    { x: -5, z: -3.5, rot: -Math.PI / 3 },
+    { x: -9, z:  0.5, rot: Math.PI }
+];
+
+/** Cones to weave between ({ x, z } centres). */
+const CONES = [
+    { x: -6, z: 4.5 }, { x: -6, z: 6.6 },
+    { x:  0.5, z: 5.2 }, { x: 1, z: 3 },
+    { x:  6.5, z: 1 }, { x: 9.5, z: 0.8 },
+    { x:  6, z: -4.5 }, { x: 5, z: -6.8 },
+    { x: -1.5, z: -4 }, { x: -2, z: -6.5 },
+    { x: -7.5, z: -2.5 }, { x: -4, z: 0 }
+];
+
+// ─── Robot handling ──────────────────────────────────────────────────────────
+const ROBOT_RADIUS = 0.45;
+const CONE_RADIUS  = 0.3;
+const GATE_RADIUS  = 1.4;   // how close to a gate centre counts as passing it
+const ACCELERATION = 9;     // m/s² at full throttle
+const MAX_SPEED    = 6;     // m/s forward
+const MAX_REVERSE  = 2.5;   // m/s backward
+const DRAG         = 2.2;   // velocity decay per second with no throttle
+const TURN_RATE    = 2.6;   // rad/s at full steering
+const HIT_COOLDOWN = 0.8;   // seconds before another collision can be penalised
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+const GATE_POINTS  = 100;
+const HIT_PENALTY  = 20;
+const PAR_TIME     = 40;    // seconds
+const COUNTDOWN    = 3;     // seconds before the timer starts
+
+export default class CompetitionArenaScene extends BaseScene {
+
+    // Drags steer the robot instead of turning the camera
+    static permissions = { look: false };
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#06080f');
+
+        // ── Game state machine ────────────────────────────────────────────
+        // 'intro' | 'countdown' | 'racing' | 'finished'
+        this.state     = 'intro';
+        this.stateTime = 0;     // seconds in current state
+        this.raceTime  = 0;     // seconds since GO
+        this.score     = 0;
+        this.nextGate  = 0;
+        this.hitTimer  = 0;
+
+        this.robotState    = { x: START.x, z: START.z, heading: START.heading, speed: 0 };
+        this.previousRobot = { x: START.x, z: START.z, heading: START.heading };   // state one fixed step ago
+
+        // Chase camera (smoothed separately from the robot)
+        this.camPos  = new THREE.Vector3();
+        this.camLook = new THREE.Vector3();
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createCourse();
+        this.createRobot();
+        this.createHud();
+        this.createPanels();
+        this.addBackButton(() => this.leave());
+        this.createSounds();
+
+        this.resetRace();
+    }
+
+    enter() {
+        this.controls.resetRotation();
+        this.snapCamera();
+        this.showPanel(this.introPanel);
+        this.crowdSounds.forEach(sound => sound.play(1.5));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#06080f', 25, 60);
+
+        // Arena floor
+        const floor = new THREE.Mesh(
+            new THREE.PlaneGeometry(ARENA_HALF_X * 2, ARENA_HALF_Z * 2),
+            new THREE.MeshStandardMaterial({ color: '#e8ecf2', roughness: 0.55, metalness: 0.05 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+
+        // Outer concourse
+        const concourse = new THREE.Mesh(
+            new THREE.RingGeometry(15, 40, 64),
+            new THREE.MeshStandardMaterial({ color: '#101522', roughness: 0.9 })
+        );
+        concourse.rotation.x = -Math.PI / 2;
+        concourse.position.y = -0.01;
+        this.scene.add(concourse);
+
+        // Perimeter walls
+        const wallMat = new THREE.MeshStandardMaterial({ color: '#1f2a44', metalness: 0.4, roughness: 0.5 });
+        const trimMat = new THREE.MeshStandardMaterial({ color: '#ff3366', emissive: '#ff3366', emissiveIntensity: 0.8 });
+        [
+            { length: ARENA_HALF_X * 2 + 0.4, offset:  ARENA_HALF_Z + 0.1, alongX: true  },
+            { length: ARENA_HALF_X * 2 + 0.4, offset: -ARENA_HALF_Z - 0.1, alongX: true  },
+            { length: ARENA_HALF_Z * 2,       offset:  ARENA_HALF_X + 0.1, alongX: false },
+            { length: ARENA_HALF_Z * 2,       offset: -ARENA_HALF_X - 0.1, alongX: false }
+        ].forEach(({ length, offset, alongX }) => {
+            const wall = new THREE.Mesh(new THREE.BoxGeometry(length, 0.4, 0.2), wallMat);
+            const trim = new THREE.Mesh(new THREE.BoxGeometry(length, 0.04, 0.22), trimMat);
+            wall.position.y = 0.2;
+            trim.position.y = 0.41;
+            if (alongX) {
+                wall.position.z = trim.position.z = offset;
+            } else {
+                wall.rotation.y = trim.rotation.y = Math.PI / 2;
+                wall.position.x = trim.position.x = offset;
+            }
+            wall.receiveShadow = true;
+            this.scene.add(wall, trim);
+        });
+
+        // Stands around the arena
+        const standMat = new THREE.MeshStandardMaterial({ color: '#18203a', roughness: 0.8, side: THREE.DoubleSide });
+        for (let tier = 0; tier < 4; tier++) {
+            const stand = new THREE.Mesh(
+                new THREE.CylinderGeometry(17 + tier * 1.6, 17 + tier * 1.6, 0.6, 64, 1, true),
+                standMat
+            );
+            stand.position.y = 0.3 + tier * 0.8;
+            this.scene.add(stand);
+        }
+
+        // Crowd noise from all round the stands; offsets keep the four
+        // copies of the loop from playing in unison
+        this.crowdSounds = [0, 1, 2, 3].map(i => {
+            const angle  = Math.PI / 4 + i * Math.PI / 2;
+            const anchor = new THREE.Object3D();
+            anchor.position.set(Math.cos(angle) * 18, 1.5, Math.sin(angle) * 18);
+            this.scene.add(anchor);
+            return this.addSound(anchor, {
+                source: createCrowdMurmur, volume: 0.4, offset: i * 1.5, refDistance: 8, maxDistance: 40
+            });
+        });
+
+        // Scoreboard banner
+        const banner = new THREE.Mesh(
+            new THREE.PlaneGeometry(10, 1.6),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(['COMPETITION ARENA', 'Gate Run Challenge'], {
+                    width: 1024, height: 164, fontSize: 64, color: '#ff3366', glow: 'rgba(255,51,102,0.8)'
+                }),
+                transparent: true
+            })
+        );
+        banner.position.set(0, 5, -17);
+        this.scene.add(banner);
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#c0ccff', 0.35));
+        this.scene.add(new THREE.HemisphereLight('#8fa8e0', '#06080f', 0.4));
+
+        // Stadium floodlights
+        const flood = new THREE.DirectionalLight('#ffffff', 1.6);
+        flood.position.set(-6, 18, 10);
+        flood.castShadow = true;
+        flood.shadow.mapSize.set(2048, 2048);
+        flood.shadow.camera.left   = -ARENA_HALF_X - 2;
+        flood.shadow.camera.right  =  ARENA_HALF_X + 2;
+        flood.shadow.camera.top    =  ARENA_HALF_Z + 6;
+        flood.shadow.camera.bottom = -ARENA_HALF_Z - 6;
+        this.scene.add(flood);
+    }
+
+    createCourse() {
+        // Guide line through the gates (line-follower style)
+        const points = [START, ...GATES].map(p => new THREE.Vector3(p.x, 0.015, p.z));
+        const curve  = new THREE.CatmullRomCurve3(points);
+        const line   = new THREE.Mesh(
+            new THREE.TubeGeometry(curve, 200, 0.05, 6, false),
+            new THREE.MeshBasicMaterial({ color: '#222222' })
+        );
+        line.scale.y = 0.2;
+        this.scene.add(line);
+
+        // Start pad
+        const pad = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.6, 1.6),
+            new THREE.MeshBasicMaterial({ color: '#00ffaa', transparent: true, opacity: 0.35 })
+        );
+        pad.rotation.x = -Math.PI / 2;
+        pad.position.set(START.x, 0.01, START.z);
+        this.scene.add(pad);
+
+        // Gates — two posts and a bar, numbered
+        this.gates = GATES.map((g, i) => {
+            const isFinish = i === GATES.length - 1;
+            const color    = isFinish ? '#00ffaa' : '#ff3366';
+
+            const mat = new THREE.MeshStandardMaterial({
+                color, emissive: color, emissiveIntensity: 0.35, metalness: 0.3, roughness: 0.4
+            });
+
+            const group = new THREE.Group();
+            group.position.set(g.x, 0, g.z);
+            group.rotation.y = g.rot;
+
+            [-1, 1].forEach(s => {
+                const post = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 1.4, 12), mat);
+                post.position.set(s * GATE_RADIUS, 0.7, 0);
+                post.castShadow = true;
+                group.add(post);
+            });
+
+            const bar = new THREE.Mesh(new THREE.BoxGeometry(GATE_RADIUS * 2, 0.1, 0.1), mat);
+            bar.position.y = 1.4;
+            group.add(bar);
+
+            const label = new THREE.Mesh(
+                new THREE.PlaneGeometry(0.7, 0.35),
+                new THREE.MeshBasicMaterial({
+                    map: createTextTexture(isFinish ? 'FINISH' : String(i + 1), {
+                        width: 256, height: 128, fontSize: 80, color: '#ffffff', background: color
+                    }),
+                    side: THREE.DoubleSide
+                })
+            );
+            label.position.y = 1.7;
+            group.add(label);
+
+            this.scene.add(group);
+            return { ...g, group, mat };
+        });
+
+        // Cones
+        const coneMat  = new THREE.MeshStandardMaterial({ color: '#ff7a1a', roughness: 0.6 });
+        const stripeMat = new THREE.MeshStandardMaterial({ color: '#ffffff', roughness: 0.6 });
+        this.cones = CONES.map(c => {
+            const cone = new THREE.Group();
+            const body = new THREE.Mesh(new THREE.ConeGeometry(CONE_RADIUS, 0.7, 20), coneMat);
+            body.position.y = 0.35;
+            body.castShadow = true;
+            cone.add(body);
+
+            const stripe = new THREE.Mesh(new THREE.CylinderGeometry(0.14, 0.19, 0.08, 20), stripeMat);
+            stripe.position.y = 0.42;
+            cone.add(stripe);
+
+            cone.position.set(c.x, 0, c.z);
+            this.scene.add(cone);
+            return { ...c, mesh: cone, wobble: 0 };
+        });
+    }
+
+    createRobot() {
+        const body   = new THREE.MeshStandardMaterial({ color: '#1b2233', metalness: 0.6, roughness: 0.35 });
+        const accent = new THREE.MeshStandardMaterial({ color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 0.9 });
+        const tyre   = new THREE.MeshStandardMaterial({ color: '#0d0f14', roughness: 0.9 });
+
+        this.robot = new THREE.Group();
+
+        const chassis = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.22, 0.8), body);
+        chassis.position.y = 0.2;
+        chassis.castShadow = true;
+        this.robot.add(chassis);
+
+        const lid = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.1, 0.5), accent);
+        lid.position.set(0, 0.35, -0.05);
+        this.robot.add(lid);
+
+        // "Eyes" on the front (+Z)
+        [-0.15, 0.15].forEach(x => {
+            const eye = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 12), accent);
+            eye.position.set(x, 0.24, 0.41);
+            this.robot.add(eye);
+        });
+
+        const wheelGeo = new THREE.CylinderGeometry(0.13, 0.13, 0.1, 20);
+        wheelGeo.rotateZ(Math.PI / 2);
+        this.wheels = [];
+        [[-0.36, 0.25], [0.36, 0.25], [-0.36, -0.25], [0.36, -0.25]].forEach(([x, z]) => {
+            const wheel = new THREE.Mesh(wheelGeo, tyre);
+            wheel.position.set(x, 0.13, z);
+            wheel.castShadow = true;
+            this.robot.add(wheel);
+            this.wheels.push(wheel);
+        });
+
+        this.scene.add(this.robot);
+    }
+
+    createSounds() {
+        this.audioManager.createTone('arena-gate',   880, 0.18, 'effects');
+        this.audioManager.createTone('arena-hit',    140, 0.25, 'effects');
+        this.audioManager.createTone('arena-count',  440, 0.12, 'ui');
+        this.audioManager.createTone('arena-go',     990, 0.4,  'ui');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UI
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createHud() {
+        const hud = document.createElement('div');
+        hud.id        = 'arena-hud';
+        hud.className = 'scene-hud';
+        hud.innerHTML = `
+            <span>Time<strong data-hud="time">0.00</strong></span>
+            <span>Score<strong data-hud="score">0</strong></span>
+            <span>Gate<strong data-hud="gate">1/${GATES.length}</strong></span>
+            <span>Best<strong data-hud="best">—</strong></span>
+        `;
+        this.hudEl = this.addDom(hud);
+        this.hud = {
+            time:  hud.querySelector('[data-hud="time"]'),
+            score: hud.querySelector('[data-hud="score"]'),
+            gate:  hud.querySelector('[data-hud="gate"]'),
+            best:  hud.querySelector('[data-hud="best"]')
+        };
+    }
+
+    createPanels() {
+        // Intro / instructions
+        this.introPanel = this.createPanel('arena-intro', `
+            <h2>Gate Run Challenge</h2>
+            <div class="panel-subtitle">Competition Arena</div>
+            <p>Drive the robot through all ${GATES.length} gates in order as fast as you can. Every cone you clip costs points.</p>
+            <p style="color: rgba(255,255,255,0.55); font-size: 12px;">
+                W / ↑ drive · S / ↓ reverse · A D / ← → steer<br>
+                Touch: hold to drive, drag sideways to steer
+            </p>
+            <div class="panel-actions">
+                <button class="panel-btn" data-action="start">Start challenge</button>
+            </div>
+        `);
+
+        // Results
+        this.resultPanel = this.createPanel('arena-result', `
+            <h2 data-result="title">Finished!</h2>
+            <div class="panel-subtitle">Gate Run Challenge</div>
+            <p data-result="summary"></p>
+            <div class="panel-actions">
+                <button class="panel-btn" data-action="start">Race again</button>
+                <button class="panel-btn" data-action="leave">Main Street</button>
+            </div>
+        `);
+
+        // Countdown number
+        const countdown = document.createElement('div');
+        countdown.id = 'arena-countdown';
+        Object.assign(countdown.style, {
+            position:      'fixed',
+            top:           '40%',
+            left:          '50%',
+            transform:     'translate(-50%, -50%)',
+            color:         '#ff3366',
+            fontFamily:    '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+            fontSize:      'clamp(48px, 10vw, 120px)',
+            fontWeight:    '700',
+            textShadow:    '0 0 30px rgba(255,51,102,0.8)',
+            pointerEvents: 'none',
+            zIndex:        '150',
+            opacity:       '0'
+        });
+        this.countdownEl = this.addDom(countdown);
+    }
+
+    createPanel(id, html) {
+        const panel = document.createElement('div');
+        panel.id        = id;
+        panel.className = 'glass-panel centered hidden';
+        panel.innerHTML = html;
+
+        panel.querySelectorAll('[data-action="start"]').forEach(btn => {
+            btn.addEventListener('click', () => this.startCountdown());
+        });
+        panel.querySelectorAll('[data-action="leave"]').forEach(btn => {
+            btn.addEventListener('click', () => this.leave());
+        });
+
+        return this.addDom(panel);
+    }
+
+    showPanel(panel) {
+        [this.introPanel, this.resultPanel].forEach(p => p.classList.toggle('hidden', p !== panel));
+    }
+
+    updateHud() {
+        const best = this.globalState.getBestTime(CHALLENGE_ID);
+
+        this.hud.time.textContent  = this.raceTime.toFixed(2);
+        this.hud.score.textContent = String(this.score);
+        this.hud.gate.textContent  = `${Math.min(this.nextGate + 1, GATES.length)}/${GATES.length}`;
+        this.hud.best.textContent  = best !== null ? best.toFixed(2) : '—';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       GAME FLOW
+    ══════════════════════════════════════════════════════════════════════ */
+
+    resetRace() {
+        Object.assign(this.robotState, { x: START.x, z: START.z, heading: START.heading, speed: 0 });
+        Object.assign(this.previousRobot, { x: START.x, z: START.z, heading: START.heading });
+        this.raceTime = 0;
+        this.score    = 0;
+        this.nextGate = 0;
+        this.hitTimer = 0;
+
+        this.gates.forEach(g => { g.mat.emissiveIntensity = 0.35; });
+        this.highlightNextGate();
+        this.syncRobot();
+        this.updateHud();
+    }
+
+    startCountdown() {
+        this.resetRace();
+        this.showPanel(null);
+        this.setState('countdown');
+        this.lastCount = null;
+    }
+
+    finishRace() {
+        const bonus = Math.max(0, Math.round((PAR_TIME - this.raceTime) * 10));
+        this.score += bonus;
+
+        const isRecord = this.globalState.saveBestTime(CHALLENGE_ID, this.raceTime);
+
+        this.resultPanel.querySelector('[data-result="title"]').textContent =
+            isRecord ? 'New best time!' : 'Finished!';
+        this.resultPanel.querySelector('[data-result="summary"]').textContent =
+            `Time ${this.raceTime.toFixed(2)}s · Score ${this.score} (time bonus +${bonus})`;
+
+        this.syncRobot();   // update() stops drawing the race once it's over
+        this.updateHud();
+        this.showPanel(this.resultPanel);
+        this.setState('finished');
+        this.announce(`${isRecord ? 'New best time!' : 'Finished!'} Time ${this.raceTime.toFixed(2)} seconds, score ${this.score}.`);
+        this.audioManager.playTone('arena-go');
+    }
+
+    setState(state) {
+        this.state     = state;
+        this.stateTime = 0;
+    }
+
+    /** Read out countdown and results to screen readers (AccessibilityLayer). */
+    announce(message) {
+        window.dispatchEvent(new CustomEvent('a11y-announce', { detail: { message } }));
+    }
+
+    leave() {
+        window.dispatchEvent(new CustomEvent('scene-request', { detail: { scene: 'mainStreet' } }));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — fixedUpdate() steps the race at Time.fixedStep, so a run
+       plays out the same at any frame rate; update() runs every frame and
+       draws the robot between the last two steps
+    ══════════════════════════════════════════════════════════════════════ */
+
+    fixedUpdate(step) {
+        if (this.state !== 'racing') return;
+
+        const r = this.robotState;
+        Object.assign(this.previousRobot, { x: r.x, z: r.z, heading: r.heading });
+        this.stepRace(step);
+    }
+
+    update(t, dt, alpha) {
+        this.stateTime += dt;
+
+        if (this.state === 'countdown') this.updateCountdown();
+        if (this.state === 'racing') {
+            this.syncRobot(alpha, dt);
+            this.updateHud();
+        }
+
+        this.animateCourse(t, dt);
+        this.updateCamera(dt);
+    }
+
+    updateCountdown() {
+        const remaining = COUNTDOWN - this.stateTime;
+        const count     = Math.ceil(remaining);
+
+        if (count !== this.lastCount) {
+            this.lastCount = count;
+            this.countdownEl.textContent = count > 0 ? String(count) : 'GO!';
+            this.audioManager.playTone(count > 0 ? 'arena-count' : 'arena-go');
+            this.announce(count > 0 ? String(count) : 'Go!');
+        }
+
+        // Each number pops in then fades
+        const frac = remaining - Math.floor(remaining);
+        this.countdownEl.style.opacity = remaining > 0 ? String(frac) : '1';
+
+        if (remaining <= 0) {
+            this.setState('racing');
+            setTimeout(() => { this.countdownEl.style.opacity = '0'; }, 500);
+        }
+    }
+
+    stepRace(dt) {
+        this.raceTime += dt;
+        this.hitTimer  = Math.max(0, this.hitTimer - dt);
+
+        const { throttle, steer } = this.readInput();
+        const r = this.robotState;
+
+        // Speed
+        if (throttle !== 0) {
+            r.speed += throttle * ACCELERATION * dt;
+        } else {
+            r.speed *= Math.exp(-DRAG * dt);
+        }
+        r.speed = THREE.MathUtils.clamp(r.speed, -MAX_REVERSE, MAX_SPEED);
+
+        // Steering scales with speed so the robot can't spin on the spot;
+        // reverse steering flips like a real vehicle
+        const grip = THREE.MathUtils.clamp(Math.abs(r.speed) / 2, 0.35, 1) * Math.sign(r.speed || 1);
+        r.heading -= steer * TURN_RATE * grip * dt;
+
+        r.x += Math.sin(r.heading) * r.speed * dt;
+        r.z += Math.cos(r.heading) * r.speed * dt;
+
+        this.resolveCollisions();
+        this.checkGates();
+    }
+
+    /**
+     * Combine keyboard, arrow buttons and touch/mouse into
+     * throttle (−1..1) and steer (−1 left .. 1 right).
+     */
+    readInput() {
+        const keys     = this.controls.keys;
+        const movement = this.controls.getMovement();
+        const touch    = this.controls.touch;
+
+        let throttle = 0;
+        let steer    = 0;
+
+        if (keys['w'] || keys['arrowup'])    throttle += 1;
+        if (keys['s'] || keys['arrowdown'])  throttle -= 1;
+        if (keys['a'] || keys['arrowleft'])  steer    -= 1;
+        if (keys['d'] || keys['arrowright']) steer    += 1;
+
+        // Arrow buttons / wheel pulse movement.forward and movement.rotation
+        throttle += Math.sign(movement.forward);
+        steer    += movement.rotation;
+
+        // Hold to drive, drag sideways to steer
+        if (touch.isActive) {
+            throttle = Math.max(throttle, 1);
+            const offset = (touch.currentX - this.controls.tap.downX) / (window.innerWidth * 0.2);
+            steer += THREE.MathUtils.clamp(offset, -1, 1);
+        }
+
+        return {
+            throttle: THREE.MathUtils.clamp(throttle, -1, 1),
+            steer:    THREE.MathUtils.clamp(steer, -1, 1)
+        };
+    }
+
+    resolveCollisions() {
+        const r = this.robotState;
+        let hit = false;
+
+        // Cones — push the robot out and bounce back
+        this.cones.forEach(cone => {
+            const dx   = r.x - cone.x;
+            const dz   = r.z - cone.z;
+            const dist = Math.hypot(dx, dz);
+            const min  = ROBOT_RADIUS + CONE_RADIUS;
+
+            if (dist < min && dist > 0) {
+                r.x = cone.x + (dx / dist) * min;
+                r.z = cone.z + (dz / dist) * min;
+                cone.wobble = 1;
+                hit = true;
+            }
+        });
+
+        // Arena walls
+        const limitX = ARENA_HALF_X - ROBOT_RADIUS;
+        const limitZ = ARENA_HALF_Z - ROBOT_RADIUS;
+        if (Math.abs(r.x) > limitX || Math.abs(r.z) > limitZ) {
+            r.x = THREE.MathUtils.clamp(r.x, -limitX, limitX);
+            r.z = THREE.MathUtils.clamp(r.z, -limitZ, limitZ);
+            hit = true;
+        }
+
+        if (hit) {
+            r.speed *= -0.3;
+            if (this.hitTimer === 0) {
+                this.score    = Math.max(0, this.score - HIT_PENALTY);
+                this.hitTimer = HIT_COOLDOWN;
+                this.audioManager.playTone('arena-hit');
+            }
+        }
+    }
+
+    checkGates() {
+        const gate = this.gates[this.nextGate];
+        if (!gate) return;
+
+        const dist = Math.hypot(this.robotState.x - gate.x, this.robotState.z - gate.z);
+        if (dist > GATE_RADIUS) return;
+
+        gate.mat.emissiveIntensity = 0.1;
+        this.score += GATE_POINTS;
+        this.nextGate++;
+        this.audioManager.playTone('arena-gate');
+
+        if (this.nextGate >= this.gates.length) {
+            this.finishRace();
+        } else {
+            this.highlightNextGate();
+        }
+    }
+
+    highlightNextGate() {
+        this.gates.forEach((g, i) => {
+            g.group.scale.setScalar(i === this.nextGate ? 1.1 : 1);
+        });
+    }
+
+    /* ── Visual sync ─────────────────────────────────────────────────── */
+
+    /**
+     * Place the robot mesh `alpha` of the way from the previous simulation
+     * step to the latest one (1 = exactly at the latest).
+     */
+    syncRobot(alpha = 1, dt = 0) {
+        const r    = this.robotState;
+        const prev = this.previousRobot;
+        this.robot.position.set(
+            THREE.MathUtils.lerp(prev.x, r.x, alpha),
+            0,
+            THREE.MathUtils.lerp(prev.z, r.z, alpha)
+        );
+        this.robot.rotation.y = THREE.MathUtils.lerp(prev.heading, r.heading, alpha);
+        this.wheels.forEach(w => { w.rotation.x += r.speed * dt / 0.13; });
+    }
+
+    animateCourse(t, dt) {
+        const reduced = this.globalState.isReducedMotion();
+
+        // Next gate pulses (lit steadily with reduced motion)
+        const next = this.gates[this.nextGate];
+        if (next && this.state !== 'finished') {
+            next.mat.emissiveIntensity = reduced ? 0.8 : 0.5 + Math.sin(t * 6) * 0.4;
+        }
+
+        // Knocked cones wobble and settle (stay still with reduced motion)
+        this.cones.forEach(cone => {
+            if (cone.wobble <= 0) return;
+            cone.wobble = reduced ? 0 : Math.max(0, cone.wobble - dt * 1.5);
+            cone.mesh.rotation.z = Math.sin(t * 30) * 0.25 * cone.wobble;
+        });
+    }
+
+    /** Chase camera behind and above the robot. */
+    updateCamera(dt) {
+        this.chaseTargets();
+
+        // Reduced motion: locked behind the robot instead of swinging after it
+        const k = this.globalState.isReducedMotion() ? 1 : Math.min(dt * 4, 1);
+        this.camera.instance.position.lerp(this.camPos, k);
+        this.currentLook = this.currentLook || this.camLook.clone();
+        this.currentLook.lerp(this.camLook, k);
+        this.camera.instance.lookAt(this.currentLook);
+    }
+
+    /** Follows the robot as drawn, so the camera moves as smoothly as it does. */
+    chaseTargets() {
+        const { x, z } = this.robot.position;
+        const fx = Math.sin(this.robot.rotation.y);
+        const fz = Math.cos(this.robot.rotation.y);
+
+        this.camPos.set(x - fx * 4.5, 3.2, z - fz * 4.5);
+        this.camLook.set(x + fx * 2, 0.4, z + fz * 2);
+    }
+
+    snapCamera() {
+        this.chaseTargets();
+        this.camera.instance.position.copy(this.camPos);
+        this.currentLook = this.camLook.clone();
+        this.camera.instance.lookAt(this.currentLook);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       PAUSE  — called by PauseManager
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /** Don't come back to a robot still at full speed, heading for a cone. */
+    onPause() {
+        this.robotState.speed = 0;
+    }
+
+    /** A countdown cut short starts over, so the visitor gets all of it. */
+    onResume() {
+        if (this.state !== 'countdown') return;
+        this.setState('countdown');
+        this.lastCount = null;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return `A timed obstacle course. Drive the robot through ${GATES.length} gates in order with W A S D or the arrow keys.`;
+    }
+}
@@ -0,0 +1,595 @@
+/**
+ * EnrollmentHubScene.js
+ * Stage 7 — Enrollment Hub
+ *
+ * A holographic sign-up terminal. The visitor answers four short steps
+ * (name → age → contact → interest), checks everything on a review screen
+ * and submits. Each completed step lights one of the pillars around the
+ * terminal; on submit the answers are stored via GlobalState.saveUserData(),
+ * an 'enrollment-submitted' event hands them to the EnrollmentService and
+ * the journey moves on to the exit confirmation.
+ *
+ * Answers already in GlobalState.userData (a returning visitor) pre-fill
+ * the form.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import AssetManager from '../core/AssetManager.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+import { validateName, validateAge, validateContact, validateRequired, MIN_AGE, MAX_AGE } from '../utils/validation.js';
+import { INTEREST_OPTIONS, getInterestLabel } from '../data/enrollmentOptions.js';
+import { SPHERE_LOGO_URL } from '../data/sceneAssets.js';
+
+const EYE_HEIGHT      = 1.6;
+const PILLAR_RADIUS   = 3.2;
+const SUBMIT_DELAY_MS = 1400; // celebrate before handing off to the exit scene
+
+const CAP_DIM = new THREE.Color('#335f58');
+const CAP_LIT = new THREE.Color('#00ffaa');
+
+/**
+ * Form steps, in order. `validate` returns an error string or null.
+ */
+const STEPS = [
+    {
+        key: 'name', title: 'What\'s your name?',
+        label: 'Full name', type: 'text', autocomplete: 'name', placeholder: 'e.g. Sara Ahmed',
+        validate: validateName
+    },
+    {
+        key: 'age', title: 'How old are you?',
+        label: `Age (${MIN_AGE}–${MAX_AGE})`, type: 'number', autocomplete: 'off', placeholder: 'e.g. 14',
+        validate: validateAge
+    },
+    {
+        key: 'contact', title: 'How can we reach you?',
+        label: 'Email or phone (a parent\'s is fine)', type: 'text', autocomplete: 'email', placeholder: 'name@example.com',
+        validate: validateContact
+    },
+    {
+        key: 'interest', title: 'What excites you most?',
+        label: 'Pick the area you\'d like to start with', type: 'choice', options: INTEREST_OPTIONS,
+        validate: (v) => validateRequired(v, 'Please pick one option.')
+    }
+];
+
+const REVIEW_STEP = STEPS.length;
+
+export default class EnrollmentHubScene extends BaseScene {
+
+    // Standing at the terminal; looking around is fine
+    static permissions = { move: false };
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#04100e');
+
+        // Form state — pre-filled from anything already saved
+        const saved = this.globalState.userData;
+        this.answers = {
+            name:     saved.name     || '',
+            age:      saved.age      || '',
+            contact:  saved.contact  || '',
+            interest: saved.interest || ''
+        };
+        this.step           = 0;
+        this.returnToReview = false;   // editing a single field from the review screen
+        this.submitted      = false;
+        this.handoffTimer   = null;    // pending switch to the exit scene
+        this.handoffPaused  = false;   // …held while the app is paused
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createTerminal();
+        this.createPillars();
+        this.createParticles();
+        this.createFormPanel();
+        this.addBackButton();
+        this.createSounds();
+    }
+
+    enter() {
+        // Stand slightly right of the terminal so it sits clear of the form panel
+        this.controls.resetRotation();
+        this.camera.setPosition(1.4, EYE_HEIGHT, 6);
+
+        this.renderStep();
+    }
+
+    /** Leaving by the back button mid-celebration cancels the hand-off. */
+    exit(to) {
+        clearTimeout(this.handoffTimer);
+        this.handoffTimer  = null;
+        this.handoffPaused = false;
+        super.exit(to);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#04100e', 10, 30);
+
+        const floor = new THREE.Mesh(
+            new THREE.CircleGeometry(12, 64),
+            new THREE.MeshStandardMaterial({ color: '#0b1a18', roughness: 0.4, metalness: 0.5 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+
+        // Concentric glowing rings on the floor
+        [1.4, 2.4, PILLAR_RADIUS + 0.6].forEach((r, i) => {
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(r, r + 0.04, 96),
+                new THREE.MeshBasicMaterial({ color: '#00ffaa', transparent: true, opacity: 0.5 - i * 0.12 })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            ring.position.y = 0.01;
+            this.scene.add(ring);
+        });
+
+        const banner = new THREE.Mesh(
+            new THREE.PlaneGeometry(6, 1.1),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(['ENROLLMENT HUB', 'Join Unimate Robotics Club'], {
+                    width: 1024, height: 188, fontSize: 70, color: '#00ffaa', glow: 'rgba(0,255,170,0.7)'
+                }),
+                transparent: true
+            })
+        );
+        banner.position.set(0, 4.6, -4);
+        this.scene.add(banner);
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#b0ffe8', 0.25));
+        this.scene.add(new THREE.HemisphereLight('#66ffd0', '#04100e', 0.3));
+
+        this.coreLight = new THREE.PointLight('#00ffaa', 3, 10);
+        this.coreLight.position.set(0, 2.2, 0);
+        this.scene.add(this.coreLight);
+    }
+
+    createTerminal() {
+        // Base pedestal
+        const base = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.9, 1.1, 0.6, 48),
+            new THREE.MeshStandardMaterial({ color: '#13302b', metalness: 0.8, roughness: 0.3 })
+        );
+        base.position.y = 0.3;
+        this.scene.add(base);
+
+        // Hologram column
+        this.holoMat = new THREE.MeshBasicMaterial({
+            color: '#00ffaa', transparent: true, opacity: 0.12,
+            side: THREE.DoubleSide, depthWrite: false, blending: THREE.AdditiveBlending
+        });
+        const column = new THREE.Mesh(new THREE.CylinderGeometry(0.75, 0.85, 3, 48, 1, true), this.holoMat);
+        column.position.y = 2.1;
+        this.scene.add(column);
+
+        // Floating club sphere
+        const logoTexture = new AssetManager().getTexture(SPHERE_LOGO_URL);
+
+        this.logoSphere = new THREE.Mesh(
+            new THREE.SphereGeometry(0.45, 48, 48),
+            new THREE.MeshStandardMaterial({
+                map: logoTexture, emissive: '#00ffaa', emissiveIntensity: 0.15, metalness: 0.3, roughness: 0.4
+            })
+        );
+        this.logoSphere.position.y = 2.2;
+        this.scene.add(this.logoSphere);
+
+        // Orbiting progress ring — arc grows with each step
+        this.progressMat = new THREE.MeshBasicMaterial({ color: '#00ffaa' });
+        this.progressArc = new THREE.Mesh(new THREE.TorusGeometry(0.7, 0.025, 12, 96, 0.001), this.progressMat);
+        this.progressArc.position.y = 2.2;
+        this.scene.add(this.progressArc);
+    }
+
+    createPillars() {
+        // One pillar per step, fanned behind the terminal
+        this.pillars = STEPS.map((_, i) => {
+            const angle = Math.PI + (i - (STEPS.length - 1) / 2) * 0.55;
+            const x     = Math.sin(angle) * PILLAR_RADIUS;
+            const z     = Math.cos(angle) * PILLAR_RADIUS;
+
+            const mat = new THREE.MeshStandardMaterial({
+                color: '#0f2a26', emissive: '#00ffaa', emissiveIntensity: 0.05, metalness: 0.6, roughness: 0.3
+            });
+            const pillar = new THREE.Mesh(new THREE.BoxGeometry(0.35, 2.8, 0.35), mat);
+            pillar.position.set(x, 1.4, z);
+            pillar.castShadow = true;
+            this.scene.add(pillar);
+
+            const cap = new THREE.Mesh(
+                new THREE.SphereGeometry(0.12, 16, 16),
+                new THREE.MeshBasicMaterial({ color: CAP_DIM })
+            );
+            cap.position.set(x, 3, z);
+            this.scene.add(cap);
+
+            return { mat, cap, lit: 0 };
+        });
+    }
+
+    createParticles() {
+        const count     = Math.round(160 * this.globalState.getQuality().particles);
+        const positions = new Float32Array(count * 3);
+        this.particleSpeeds = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const a = Math.random() * Math.PI * 2;
+            const r = 0.3 + Math.random() * 0.6;
+            positions[i * 3]     = Math.cos(a) * r;
+            positions[i * 3 + 1] = 0.6 + Math.random() * 3;
+            positions[i * 3 + 2] = Math.sin(a) * r;
+            this.particleSpeeds[i] = 0.2 + Math.random() * 0.5;
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        this.particles = new THREE.Points(geo, new THREE.PointsMaterial({
+            color: '#00ffaa', size: 0.04, transparent: true, opacity: 0.7,
+            blending: THREE.AdditiveBlending, depthWrite: false
+        }));
+        this.scene.add(this.particles);
+    }
+
+    createSounds() {
+        this.audioManager.createTone('enroll-step',   720, 0.12, 'ui');
+        this.audioManager.createTone('enroll-error',  220, 0.2,  'ui');
+        this.audioManager.createTone('enroll-submit', 1040, 0.5, 'effects');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       FORM UI
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createFormPanel() {
+        const panel = document.createElement('div');
+        panel.id        = 'enrollment-form';
+        panel.className = 'glass-panel';
+        panel.setAttribute('role', 'form');
+        panel.setAttribute('aria-label', 'Enrollment form');
+        panel.style.width = 'min(420px, calc(100vw - 32px))';
+
+        panel.innerHTML = `
+            <div class="panel-subtitle" data-form="counter"></div>
+            <div class="step-progress"><span data-form="bar"></span></div>
+            <form data-form="form" novalidate>
+                <h2 data-form="title"></h2>
+                <div data-form="body"></div>
+                <div class="panel-actions">
+                    <button type="button" class="panel-btn" data-form="back">← Back</button>
+                    <button type="submit" class="panel-btn" data-form="next">Next →</button>
+                </div>
+            </form>
+        `;
+
+        this.form = {
+            panel,
+            counter: panel.querySelector('[data-form="counter"]'),
+            bar:     panel.querySelector('[data-form="bar"]'),
+            form:    panel.querySelector('[data-form="form"]'),
+            title:   panel.querySelector('[data-form="title"]'),
+            body:    panel.querySelector('[data-form="body"]'),
+            back:    panel.querySelector('[data-form="back"]'),
+            next:    panel.querySelector('[data-form="next"]')
+        };
+
+        this.form.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.next();
+        });
+        this.form.back.addEventListener('click', () => this.back());
+
+        this.addDom(panel);
+    }
+
+    renderStep() {
+        const { counter, bar, title, body, back, next } = this.form;
+        const isReview = this.step === REVIEW_STEP;
+
+        counter.textContent = isReview ? 'Review & submit' : `Step ${this.step + 1} of ${STEPS.length}`;
+        bar.style.width     = `${(this.step / STEPS.length) * 100}%`;
+        back.disabled       = this.step === 0;
+        next.textContent    = isReview ? 'Submit application' : (this.returnToReview ? 'Save →' : 'Next →');
+        body.innerHTML      = '';
+
+        if (isReview) {
+            title.textContent = 'Does this look right?';
+            body.appendChild(this.buildReview());
+        } else {
+            const step = STEPS[this.step];
+            title.textContent = step.title;
+            body.appendChild(step.type === 'choice' ? this.buildChoiceField(step) : this.buildInputField(step));
+        }
+
+        this.updateProgressVisuals();
+
+        // Focus the first input so keyboard users can type straight away
+        const input = body.querySelector('input');
+        if (input) input.focus({ preventScroll: true });
+    }
+
+    buildInputField(step) {
+        const field = document.createElement('div');
+        field.className = 'form-field';
+
+        const id = `enroll-${step.key}`;
+        field.innerHTML = `
+            <label for="${id}"></label>
+            <input id="${id}" name="${step.key}">
+            <div class="field-error" id="${id}-error" role="alert"></div>
+        `;
+
+        field.querySelector('label').textContent = step.label;
+
+        const input = field.querySelector('input');
+        input.type         = step.type;
+        input.placeholder  = step.placeholder;
+        input.autocomplete = step.autocomplete;
+        input.value        = this.answers[step.key];
+        input.setAttribute('aria-describedby', `${id}-error`);
+        if (step.type === 'number') {
+            input.min       = String(MIN_AGE);
+            input.max       = String(MAX_AGE);
+            input.inputMode = 'numeric';
+        }
+
+        // Clear the error as soon as the visitor edits the field
+        input.addEventListener('input', () => this.showError(null));
+
+        return field;
+    }
+
+    buildChoiceField(step) {
+        const field = document.createElement('fieldset');
+        field.className = 'form-field';
+        field.style.border = 'none';
+
+        const legend = document.createElement('label');
+        legend.textContent = step.label;
+        field.appendChild(legend);
+
+        const list = document.createElement('div');
+        list.className = 'choice-list';
+        list.setAttribute('role', 'radiogroup');
+
+        step.options.forEach(option => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            const text  = document.createElement('span');
+
+            input.type    = 'radio';
+            input.name    = step.key;
+            input.value   = option.value;
+            input.checked = this.answers[step.key] === option.value;
+            input.addEventListener('change', () => this.showError(null));
+
+            text.textContent = option.label;
+            label.append(input, text);
+            list.appendChild(label);
+        });
+
+        const error = document.createElement('div');
+        error.className = 'field-error';
+        error.setAttribute('role', 'alert');
+
+        field.append(list, error);
+        return field;
+    }
+
+    buildReview() {
+        const list = document.createElement('ul');
+        list.className = 'review-list';
+
+        const labels = { name: 'Name', age: 'Age', contact: 'Contact', interest: 'Interest' };
+
+        STEPS.forEach((step, i) => {
+            const li    = document.createElement('li');
+            const label = document.createElement('span');
+            const value = document.createElement('span');
+            const edit  = document.createElement('button');
+
+            label.className = 'review-label';
+            value.className = 'review-value';
+            edit.className  = 'link-btn';
+            edit.type       = 'button';
+
+            label.textContent = labels[step.key];
+            value.textContent = step.key === 'interest'
+                ? getInterestLabel(this.answers.interest)
+                : this.answers[step.key];
+            edit.textContent  = 'Edit';
+            edit.setAttribute('aria-label', `Edit ${labels[step.key].toLowerCase()}`);
+            edit.addEventListener('click', () => {
+                this.returnToReview = true;
+                this.goTo(i);
+            });
+
+            li.append(label, value, edit);
+            list.appendChild(li);
+        });
+
+        return list;
+    }
+
+    /** Read the current step's value from the DOM. */
+    readStepValue(step) {
+        if (step.type === 'choice') {
+            const checked = this.form.body.querySelector(`input[name="${step.key}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        return this.form.body.querySelector('input').value.trim();
+    }
+
+    showError(message) {
+        const field = this.form.body.querySelector('.form-field');
+        const error = this.form.body.querySelector('.field-error');
+        if (!field || !error) return;
+
+        field.classList.toggle('invalid', Boolean(message));
+        error.textContent = message || '';
+    }
+
+    /* ── Navigation ──────────────────────────────────────────────────── */
+
+    next() {
+        if (this.submitted) return;
+
+        if (this.step === REVIEW_STEP) {
+            this.submit();
+            return;
+        }
+
+        const step  = STEPS[this.step];
+        const value = this.readStepValue(step);
+        const error = step.validate(value);
+
+        if (error) {
+            this.showError(error);
+            this.audioManager.playTone('enroll-error');
+            return;
+        }
+
+        this.answers[step.key] = step.key === 'age' ? String(parseInt(value, 10)) : value;
+        this.audioManager.playTone('enroll-step');
+
+        if (this.returnToReview) {
+            this.returnToReview = false;
+            this.goTo(REVIEW_STEP);
+        } else {
+            this.goTo(this.step + 1);
+        }
+    }
+
+    back() {
+        if (this.submitted || this.step === 0) return;
+        this.returnToReview = false;
+        this.goTo(this.step - 1);
+    }
+
+    goTo(step) {
+        this.step = THREE.MathUtils.clamp(step, 0, REVIEW_STEP);
+        this.renderStep();
+    }
+
+    submit() {
+        // Re-validate everything in case saved data came from an older form
+        const invalid = STEPS.findIndex(step => step.validate(this.answers[step.key]));
+        if (invalid !== -1) {
+            this.returnToReview = true;
+            this.goTo(invalid);
+            this.showError(STEPS[invalid].validate(this.answers[STEPS[invalid].key]));
+            return;
+        }
+
+        this.submitted = true;
+        this.globalState.saveUserData({ ...this.answers });
+        this.globalState.getEnrollmentReference();
+        window.dispatchEvent(new CustomEvent('enrollment-submitted'));
+
+        this.form.counter.textContent = 'Application received';
+        this.form.title.textContent   = `Welcome aboard, ${this.answers.name.split(' ')[0]}!`;
+        this.form.body.innerHTML      = '';
+        this.form.bar.style.width     = '100%';
+        this.form.back.disabled       = true;
+        this.form.next.disabled       = true;
+
+        this.audioManager.playTone('enroll-submit');
+        this.updateProgressVisuals();
+
+        this.scheduleHandoff();
+    }
+
+    scheduleHandoff() {
+        this.handoffTimer = setTimeout(() => {
+            this.handoffTimer = null;
+            window.dispatchEvent(new CustomEvent('scene-request', {
+                detail: { scene: 'exitConfirmation', transition: 'dissolve' }
+            }));
+        }, SUBMIT_DELAY_MS);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /** Steps completed so far (all of them once submitted). */
+    completedSteps() {
+        return this.submitted ? STEPS.length : Math.min(this.step, STEPS.length);
+    }
+
+    updateProgressVisuals() {
+        const done = this.completedSteps();
+        const arc  = Math.max(done / STEPS.length, 0.001) * Math.PI * 2;
+
+        this.progressArc.geometry.dispose();
+        this.progressArc.geometry = new THREE.TorusGeometry(0.7, 0.025, 12, 96, arc);
+    }
+
+    update(t, dt) {
+        const done = this.completedSteps();
+
+        // Pillars fade up as their step completes
+        this.pillars.forEach((pillar, i) => {
+            const target = i < done ? 1 : 0;
+            pillar.lit += (target - pillar.lit) * Math.min(dt * 4, 1);
+            pillar.mat.emissiveIntensity = 0.05 + pillar.lit * 0.9;
+            pillar.cap.material.color.copy(CAP_DIM).lerp(CAP_LIT, pillar.lit);
+        });
+
+        // Hologram + sphere (slow spin only, no bobbing or pulsing, with reduced motion)
+        const motion = this.globalState.isReducedMotion() ? 0 : 1;
+        const pulse  = Math.sin(t * 2) * motion;
+        this.logoSphere.rotation.y = t * 0.5;
+        this.logoSphere.position.y = 2.2 + Math.sin(t * 1.2) * 0.06 * motion;
+        this.progressArc.rotation.set(Math.PI / 2 + Math.sin(t * 0.8) * 0.2 * motion, 0, t * 0.6);
+        this.holoMat.opacity   = 0.1 + pulse * 0.03 + (this.submitted ? 0.1 : 0);
+        this.coreLight.intensity = 2.5 + pulse * 0.5 + (this.submitted ? 2 : 0);
+
+        // Particles rise through the column and wrap around
+        const positions = this.particles.geometry.attributes.position;
+        const boost     = this.submitted ? 4 : 1;
+        for (let i = 0; i < positions.count; i++) {
+            let y = positions.getY(i) + this.particleSpeeds[i] * boost * dt;
+            if (y > 3.6) y = 0.6;
+            positions.setY(i, y);
+        }
+        positions.needsUpdate = true;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       PAUSE  — called by PauseManager
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /** Hold the hand-off to the exit scene; the celebration replays on resume. */
+    onPause() {
+        if (!this.handoffTimer) return;
+        clearTimeout(this.handoffTimer);
+        this.handoffTimer  = null;
+        this.handoffPaused = true;
+    }
+
+    onResume() {
+        if (!this.handoffPaused) return;
+        this.handoffPaused = false;
+        this.scheduleHandoff();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return 'A holographic sign-up terminal. The enrollment form has four short steps and a review.';
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * EntryGateScene.js
+ * Stage 2 — Academy entry gate
+ *
+ * The visitor starts on a lit path a few metres in front of the academy gate.
+ * Moving forward (scroll / swipe up / ↑ arrow) walks them down the path; the
+ * gate doors slide open as they approach, and once they pass through the
+ * archway the scene hands off to Main Street.
+ *
+ * Controls: forward / backward move along the path (Locomotion, locked to
+ * the path), left / right look around. In guided mode a CameraRail takes
+ * over instead and pauses in front of the gate, looking up at the sign,
+ * while the doors open.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import AssetManager from '../core/AssetManager.js';
+import Locomotion from '../Locomotion.js';
+import CameraRail from '../CameraRail.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+import { LOGO_URL } from '../data/sceneAssets.js';
+
+// ─── Layout (world units ≈ metres) ───────────────────────────────────────────
+const START_Z        = 12;    // camera start, in front of the gate
+const GATE_Z         = 0;     // gate position
+const EXIT_Z         = -3;    // crossing this hands off to main street
+const EYE_HEIGHT     = 1.6;
+const DOOR_OPEN_DIST = 6;     // doors start opening when this close to the gate
+const GATE_STOP_Z    = 5;     // guided tour pauses here, inside door range
+
+export default class EntryGateScene extends BaseScene {
+
+    static ui = ['arrows', 'cameraMode', 'navbar', 'progress'];
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#05070d');
+
+        this.doorOpen   = 0;     // 0 = closed, 1 = fully open
+        this.isComplete = false;
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createGate();
+        this.createSign();
+        this.addHint('Scroll, swipe up or press ↑ to walk through the gate');
+
+        this.locomotion = new Locomotion(this.camera, this.controls, {
+            eyeHeight: EYE_HEIGHT,
+            headBob:   this.globalState.isReducedMotion() ? 0 : 0.03,
+            path:      new THREE.LineCurve3(
+                new THREE.Vector3(0, 0, START_Z),
+                new THREE.Vector3(0, 0, EXIT_Z - 1)
+            )
+        });
+        this.rail = new CameraRail(this.camera, this.controls, {
+            eyeHeight: EYE_HEIGHT,
+            path:      new THREE.CatmullRomCurve3([
+                new THREE.Vector3(0, 0, START_Z),
+                new THREE.Vector3(0, 0, GATE_STOP_Z),
+                new THREE.Vector3(0, 0, GATE_Z),
+                new THREE.Vector3(0, 0, EXIT_Z - 1)
+            ]),
+            stops:  [{ at: new THREE.Vector3(0, 0, GATE_STOP_Z), hold: 1.5 }],
+            lookAt: [{ at: new THREE.Vector3(0, 0, GATE_STOP_Z), target: new THREE.Vector3(0, 4.4, GATE_Z), radius: 5 }]
+        });
+    }
+
+    enter() {
+        // Camera starts at the beginning of the path, facing the gate
+        this.controls.resetRotation();
+        this.setGuided(this.globalState.isGuided());
+        this.walker.setPosition(0, START_Z);
+
+        // Main Street didn't load: step back through the gate to try again
+        this.listen(window, 'scene-request-failed', () => {
+            this.isComplete = false;
+            this.walker.setPosition(0, EXIT_Z + 1);
+        });
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#05070d', 10, 40);
+
+        // Ground
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(80, 80),
+            new THREE.MeshStandardMaterial({ color: '#0b0f18', roughness: 0.95 })
+        );
+        ground.rotation.x = -Math.PI / 2;
+        ground.receiveShadow = true;
+        this.scene.add(ground);
+
+        // Path leading through the gate
+        const path = new THREE.Mesh(
+            new THREE.PlaneGeometry(3, 30),
+            new THREE.MeshStandardMaterial({ color: '#161c28', roughness: 0.7, metalness: 0.2 })
+        );
+        path.rotation.x = -Math.PI / 2;
+        path.position.set(0, 0.01, 2);
+        path.receiveShadow = true;
+        this.scene.add(path);
+
+        // Glowing edge strips along the path
+        const stripMat = new THREE.MeshStandardMaterial({
+            color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 0.8
+        });
+        [-1.55, 1.55].forEach(x => {
+            const strip = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.03, 30), stripMat);
+            strip.position.set(x, 0.02, 2);
+            this.scene.add(strip);
+        });
+
+        // Perimeter wall either side of the gate
+        const wallMat = new THREE.MeshStandardMaterial({ color: '#1b2233', roughness: 0.8, metalness: 0.3 });
+        [-1, 1].forEach(side => {
+            const wall = new THREE.Mesh(new THREE.BoxGeometry(16, 2.4, 0.5), wallMat);
+            wall.position.set(side * 10.5, 1.2, GATE_Z);
+            wall.castShadow    = true;
+            wall.receiveShadow = true;
+            this.scene.add(wall);
+        });
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#8aa4ff', 0.25));
+        this.scene.add(new THREE.HemisphereLight('#3a5a9a', '#05070d', 0.4));
+
+        const moon = new THREE.DirectionalLight('#cfe0ff', 0.8);
+        moon.position.set(6, 12, 10);
+        moon.castShadow = true;
+        moon.shadow.mapSize.set(1024, 1024);
+        moon.shadow.camera.left   = -12;
+        moon.shadow.camera.right  =  12;
+        moon.shadow.camera.top    =  12;
+        moon.shadow.camera.bottom = -12;
+        this.scene.add(moon);
+
+        // Cyan accent lights on the pillars
+        this.pillarLights = [-2.6, 2.6].map(x => {
+            const light = new THREE.PointLight('#00ffff', 1.5, 8);
+            light.position.set(x, 3.2, GATE_Z + 0.8);
+            this.scene.add(light);
+            return light;
+        });
+    }
+
+    createGate() {
+        const stoneMat = new THREE.MeshStandardMaterial({ color: '#2a3247', roughness: 0.6, metalness: 0.4 });
+        const trimMat  = new THREE.MeshStandardMaterial({
+            color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 0.6, metalness: 0.9, roughness: 0.2
+        });
+
+        this.gate = new THREE.Group();
+        this.gate.position.z = GATE_Z;
+        this.scene.add(this.gate);
+
+        // Pillars with glowing caps
+        [-2.6, 2.6].forEach(x => {
+            const pillar = new THREE.Mesh(new THREE.BoxGeometry(0.9, 4.2, 0.9), stoneMat);
+            pillar.position.set(x, 2.1, 0);
+            pillar.castShadow = true;
+            this.gate.add(pillar);
+
+            const cap = new THREE.Mesh(new THREE.BoxGeometry(1.05, 0.12, 1.05), trimMat);
+            cap.position.set(x, 4.26, 0);
+            this.gate.add(cap);
+        });
+
+        // Arch beam
+        const beam = new THREE.Mesh(new THREE.BoxGeometry(6.4, 0.6, 0.8), stoneMat);
+        beam.position.set(0, 4.6, 0);
+        beam.castShadow = true;
+        this.gate.add(beam);
+
+        const beamTrim = new THREE.Mesh(new THREE.BoxGeometry(6.4, 0.05, 0.82), trimMat);
+        beamTrim.position.set(0, 4.3, 0);
+        this.gate.add(beamTrim);
+
+        // Sliding doors — bars in a frame
+        const doorMat = new THREE.MeshStandardMaterial({ color: '#3b4560', metalness: 0.85, roughness: 0.35 });
+        this.doors = [-1, 1].map(side => {
+            const door = new THREE.Group();
+
+            const frame = new THREE.Mesh(new THREE.BoxGeometry(2.1, 0.1, 0.1), doorMat);
+            frame.position.y = 3.6;
+            door.add(frame);
+
+            const base = frame.clone();
+            base.position.y = 0.15;
+            door.add(base);
+
+            for (let i = 0; i < 6; i++) {
+                const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 3.45, 8), doorMat);
+                bar.position.set(-0.9 + i * 0.36, 1.875, 0);
+                bar.castShadow = true;
+                door.add(bar);
+            }
+
+            door.userData.closedX = side * 1.075;
+            door.userData.openX   = side * 3.2;
+            door.position.x = door.userData.closedX;
+            this.gate.add(door);
+            return door;
+        });
+    }
+
+    createSign() {
+        // Logo disc above the arch
+        const logoTexture = new AssetManager().getTexture(LOGO_URL);
+
+        const logo = new THREE.Mesh(
+            new THREE.CircleGeometry(0.75, 48),
+            new THREE.MeshBasicMaterial({ map: logoTexture })
+        );
+        logo.position.set(0, 5.75, GATE_Z + 0.05);
+        this.gate.add(logo);
+
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(0.78, 0.04, 12, 64),
+            new THREE.MeshStandardMaterial({ color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 1 })
+        );
+        ring.position.copy(logo.position);
+        this.gate.add(ring);
+        this.logoRing = ring;
+
+        // Name board on the arch beam
+        const board = new THREE.Mesh(
+            new THREE.PlaneGeometry(5.6, 0.5),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture('UNIMATE ROBOTICS ACADEMY', {
+                    width: 1024, height: 96, fontSize: 60, glow: 'rgba(0,255,255,0.8)'
+                }),
+                transparent: true
+            })
+        );
+        board.position.set(0, 4.6, GATE_Z + 0.41);
+        this.gate.add(board);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    update(t, dt) {
+        if (this.isComplete) return;
+
+        this.followCameraMode();
+        this.walker.update(dt);
+        this.updateDoors(dt);
+
+        if (this.walker.position.z < START_Z - 1) this.hideHint();
+
+        // Gentle light shimmer on the sign and pillars (steady with reduced motion)
+        const shimmer = this.globalState.isReducedMotion() ? 0 : Math.sin(t * 2);
+        this.logoRing.material.emissiveIntensity = 0.8 + shimmer * 0.3;
+        this.pillarLights.forEach(l => { l.intensity = 1.4 + shimmer * 0.3; });
+
+        if (this.walker.position.z <= EXIT_Z) this.complete();
+    }
+
+    updateDoors(dt) {
+        const walkZ  = this.walker.position.z;
+        const dist   = walkZ - GATE_Z;
+        const target = dist < DOOR_OPEN_DIST ? 1 : 0;
+
+        this.doorOpen += (target - this.doorOpen) * Math.min(dt * 2.5, 1);
+
+        this.doors.forEach(door => {
+            door.position.x = THREE.MathUtils.lerp(door.userData.closedX, door.userData.openX, this.doorOpen);
+        });
+
+        // Doors must be mostly open before the visitor can pass
+        if (this.doorOpen < 0.8 && walkZ < GATE_Z + 0.6) {
+            this.walker.setPosition(0, GATE_Z + 0.6);
+        }
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       HAND-OFF
+    ══════════════════════════════════════════════════════════════════════ */
+
+    complete() {
+        this.isComplete = true;
+        window.dispatchEvent(new CustomEvent('scene-request', { detail: { scene: 'mainStreet' } }));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return 'You stand on a lit path in front of the academy gate. Move forward to walk through it.';
+    }
+
+    getHotspots() {
+        return [{ label: 'Walk through the gate', description: 'Continue to Main Street', action: () => this.complete() }];
+    }
+}
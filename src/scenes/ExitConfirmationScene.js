@@ -0,0 +1,471 @@
+/**
+ * ExitConfirmationScene.js
+ * Stage 8 — Exit confirmation
+ *
+ * Closing scene after the enrollment form. Reads GlobalState.userData and
+ * shows a confirmation card with the visitor's details and reference code
+ * while confetti bursts around the club sphere. With reduced motion the
+ * confetti drifts down slowly instead of bursting.
+ *
+ * Actions:
+ *  - Download receipt → PNG card (name, interest, reference, date)
+ *  - Restart journey  → clears the saved scene from sessionStorage and
+ *                       reloads without the scene route, so the intro
+ *                       plays from the start
+ *  - Main Street      → back to the hub
+ *
+ * The card also follows the EnrollmentService's 'enrollment-status'
+ * events, so the visitor can see whether their application has been
+ * sent, is waiting for a connection, or needs another try.
+ *
+ * An application counts as sent only once it has a reference, which
+ * EnrollmentHubScene.submit() creates. Without one (a deep link, or
+ * details typed into the profile panel) the card points the visitor to
+ * the Enrollment Hub instead.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import AssetManager from '../core/AssetManager.js';
+import { getInterestLabel } from '../data/enrollmentOptions.js';
+import { SPHERE_LOGO_URL } from '../data/sceneAssets.js';
+
+const EYE_HEIGHT       = 1.6;
+const CONFETTI_COUNT   = 400;   // at full quality (see qualityTiers.js)
+const CONFETTI_GRAVITY = 3.2;   // m/s²
+const BURST_INTERVAL   = 2.6;   // seconds between confetti bursts
+const DRIFT_SPEED      = 0.35;  // m/s, reduced-motion confetti fall
+const CONFETTI_COLORS  = ['#00ffff', '#00ffaa', '#ffd700', '#ff3366', '#cc77ff', '#ffffff'];
+
+const STATUS_TEXT = {
+    pending: { text: 'Sending… saved on this device until we\'re online', color: '#ffd700' },
+    sent:    { text: '✓ Sent to the club',                                color: '#00ffaa' },
+    failed:  { text: 'We couldn\'t send your application',               color: '#ff3366' }
+};
+
+const RECEIPT_WIDTH  = 1200;
+const RECEIPT_HEIGHT = 675;
+
+export default class ExitConfirmationScene extends BaseScene {
+
+    static permissions = { move: false };
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#03060d');
+
+        this.reference  = this.globalState.userData.reference ?? null;
+        this.isComplete = Boolean(this.reference);
+        this.burstTimer = 0;
+        this.reducedMotion = this.globalState.isReducedMotion();
+        this.particleScale = this.globalState.getQuality().particles;
+        this.confettiCount = Math.round(CONFETTI_COUNT * this.particleScale);
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createCenterpiece();
+        this.createConfetti();
+        this.createSummaryPanel();
+    }
+
+    enter() {
+        this.controls.resetRotation();
+        this.camera.setPosition(0, EYE_HEIGHT, 6);
+
+        if (this.isComplete) {
+            this.showStatus(this.globalState.userData.submissionStatus);
+            this.listen(window, 'enrollment-status', (e) => {
+                if (e.detail.reference === this.reference) this.showStatus(e.detail.status);
+            });
+
+            if (this.reducedMotion) {
+                this.scatter();
+            } else {
+                this.burst();
+            }
+            this.audioManager.createTone('exit-fanfare', 1320, 0.6, 'effects');
+            this.audioManager.playTone('exit-fanfare');
+        }
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#03060d', 8, 30);
+
+        // Starfield
+        const count     = Math.round(600 * this.particleScale);
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const r     = 15 + Math.random() * 10;
+            const theta = Math.random() * Math.PI * 2;
+            const phi   = Math.acos(Math.random() * 2 - 1);
+            positions[i * 3]     = r * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = r * Math.cos(phi);
+            positions[i * 3 + 2] = r * Math.sin(phi) * Math.sin(theta);
+        }
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.stars = new THREE.Points(geo, new THREE.PointsMaterial({
+            color: '#9fdfff', size: 0.06, transparent: true, opacity: 0.7, depthWrite: false
+        }));
+        this.scene.add(this.stars);
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#ffffff', 0.35));
+
+        const key = new THREE.DirectionalLight('#ffffff', 1.2);
+        key.position.set(3, 5, 6);
+        this.scene.add(key);
+
+        this.glowLight = new THREE.PointLight('#00ffff', 3, 10);
+        this.glowLight.position.set(0, EYE_HEIGHT, 1.5);
+        this.scene.add(this.glowLight);
+    }
+
+    createCenterpiece() {
+        const logoTexture = new AssetManager().getTexture(SPHERE_LOGO_URL);
+
+        this.logoSphere = new THREE.Mesh(
+            new THREE.SphereGeometry(0.8, 64, 64),
+            new THREE.MeshStandardMaterial({ map: logoTexture, metalness: 0.3, roughness: 0.35 })
+        );
+        this.logoSphere.position.set(-1.6, EYE_HEIGHT, 0);
+        this.scene.add(this.logoSphere);
+
+        // Orbiting celebration rings
+        this.rings = ['#00ffff', '#ffd700', '#00ffaa'].map((color, i) => {
+            const ring = new THREE.Mesh(
+                new THREE.TorusGeometry(1.1 + i * 0.25, 0.015, 8, 128),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 })
+            );
+            ring.position.copy(this.logoSphere.position);
+            ring.rotation.x = Math.PI / 2 + i * 0.4;
+            this.scene.add(ring);
+            return ring;
+        });
+    }
+
+    createConfetti() {
+        const positions = new Float32Array(this.confettiCount * 3);
+        const colors    = new Float32Array(this.confettiCount * 3);
+        this.confettiVelocity = new Float32Array(this.confettiCount * 3);
+
+        const color = new THREE.Color();
+        for (let i = 0; i < this.confettiCount; i++) {
+            color.set(CONFETTI_COLORS[i % CONFETTI_COLORS.length]);
+            colors.set([color.r, color.g, color.b], i * 3);
+            positions[i * 3 + 1] = -100; // parked out of view until the first burst
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geo.setAttribute('color',    new THREE.BufferAttribute(colors, 3));
+
+        this.confetti = new THREE.Points(geo, new THREE.PointsMaterial({
+            size: 0.08, vertexColors: true, transparent: true, opacity: 0.95, depthWrite: false
+        }));
+        this.scene.add(this.confetti);
+    }
+
+    /** Launch every confetti piece from the sphere in a random upward cone. */
+    burst() {
+        const positions = this.confetti.geometry.attributes.position;
+        const origin    = this.logoSphere.position;
+
+        for (let i = 0; i < this.confettiCount; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 1.5 + Math.random() * 3;
+            const lift  = 2 + Math.random() * 3;
+
+            positions.setXYZ(i, origin.x, origin.y, origin.z);
+            this.confettiVelocity[i * 3]     = Math.cos(angle) * speed;
+            this.confettiVelocity[i * 3 + 1] = lift;
+            this.confettiVelocity[i * 3 + 2] = Math.sin(angle) * speed * 0.6;
+        }
+        positions.needsUpdate = true;
+    }
+
+    /** Reduced motion: spread the confetti through the air to drift down. */
+    scatter() {
+        const positions = this.confetti.geometry.attributes.position;
+
+        for (let i = 0; i < this.confettiCount; i++) {
+            positions.setXYZ(
+                i,
+                (Math.random() - 0.5) * 9,
+                Math.random() * 5,
+                (Math.random() - 0.5) * 4
+            );
+            this.confettiVelocity[i * 3 + 1] = -DRIFT_SPEED * (0.6 + Math.random() * 0.8);
+        }
+        positions.needsUpdate = true;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UI
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createSummaryPanel() {
+        const panel = document.createElement('div');
+        panel.id        = 'exit-summary';
+        panel.className = 'glass-panel';
+        panel.setAttribute('role', 'status');
+        panel.style.width = 'min(400px, calc(100vw - 32px))';
+
+        if (!this.isComplete) {
+            panel.innerHTML = `
+                <h2>Almost there</h2>
+                <div class="panel-subtitle">No application yet</div>
+                <p>We couldn't find a completed application. Head to the Enrollment Hub to sign up — it only takes a minute.</p>
+                <div class="panel-actions">
+                    <button class="panel-btn" data-action="enroll">Go to Enrollment Hub</button>
+                </div>
+            `;
+        } else {
+            panel.innerHTML = `
+                <h2 data-summary="title"></h2>
+                <div class="panel-subtitle">Application received</div>
+                <p>Thanks for joining Unimate Robotics Club. We'll be in touch soon with your first session details.</p>
+                <ul class="review-list" data-summary="details"></ul>
+                <p style="text-align: center; margin-bottom: 4px; color: rgba(255,255,255,0.5); font-size: 12px;">Your reference code</p>
+                <p data-summary="reference" style="text-align: center; color: #00ffff; font-size: 22px; font-weight: 700; letter-spacing: 0.08em;"></p>
+                <p data-summary="status" style="text-align: center; font-size: 13px;"></p>
+                <div class="panel-actions">
+                    <button class="panel-btn" data-action="resend" hidden>Try again</button>
+                    <button class="panel-btn" data-action="receipt">Download receipt</button>
+                    <button class="panel-btn" data-action="restart">Restart journey</button>
+                    <button class="panel-btn" data-action="street">Main Street</button>
+                </div>
+            `;
+            this.fillSummary(panel);
+        }
+
+        panel.querySelector('[data-action="enroll"]')?.addEventListener('click', () => this.goTo('enrollmentHub'));
+        panel.querySelector('[data-action="resend"]')?.addEventListener('click', () => this.resend());
+        panel.querySelector('[data-action="receipt"]')?.addEventListener('click', () => this.downloadReceipt());
+        panel.querySelector('[data-action="restart"]')?.addEventListener('click', () => this.restartJourney());
+        panel.querySelector('[data-action="street"]')?.addEventListener('click', () => this.goTo('mainStreet'));
+
+        this.panelEl = this.addDom(panel);
+    }
+
+    fillSummary(panel) {
+        const data = this.globalState.userData;
+
+        panel.querySelector('[data-summary="title"]').textContent     = `You're in, ${data.name.split(' ')[0]}!`;
+        panel.querySelector('[data-summary="reference"]').textContent = this.reference;
+
+        const rows = [
+            ['Name',     data.name],
+            ['Age',      data.age],
+            ['Contact',  data.contact],
+            ['Interest', getInterestLabel(data.interest)]
+        ];
+
+        const list = panel.querySelector('[data-summary="details"]');
+        rows.forEach(([label, value]) => {
+            const li = document.createElement('li');
+            const l  = document.createElement('span');
+            const v  = document.createElement('span');
+            l.className = 'review-label';
+            v.className = 'review-value';
+            l.textContent = label;
+            v.textContent = value;
+            li.append(l, v);
+            list.appendChild(li);
+        });
+    }
+
+    showStatus(status) {
+        const line  = this.panelEl.querySelector('[data-summary="status"]');
+        const entry = STATUS_TEXT[status];
+
+        line.textContent = entry ? entry.text : '';
+        line.style.color = entry ? entry.color : '';
+        this.panelEl.querySelector('[data-action="resend"]').hidden = status !== 'failed';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACTIONS
+    ══════════════════════════════════════════════════════════════════════ */
+
+    goTo(sceneName) {
+        window.dispatchEvent(new CustomEvent('scene-request', { detail: { scene: sceneName } }));
+    }
+
+    resend() {
+        window.dispatchEvent(new CustomEvent('enrollment-submitted'));
+    }
+
+    restartJourney() {
+        this.globalState.clearSavedScene();
+        // Reload without the #/route, so the intro plays from the start
+        window.location.replace(`${window.location.pathname}${window.location.search}`);
+    }
+
+    /**
+     * Render the receipt card onto a canvas and download it as a PNG.
+     */
+    async downloadReceipt() {
+        const canvas = document.createElement('canvas');
+        canvas.width  = RECEIPT_WIDTH;
+        canvas.height = RECEIPT_HEIGHT;
+
+        const logo = await this.loadImage(SPHERE_LOGO_URL).catch(() => null);
+        this.drawReceipt(canvas.getContext('2d'), logo);
+
+        canvas.toBlob((blob) => {
+            if (!blob) return;
+            const url  = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href     = url;
+            link.download = `unimate-receipt-${this.reference}.png`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, 'image/png');
+    }
+
+    drawReceipt(ctx, logo) {
+        const data = this.globalState.userData;
+        const W = RECEIPT_WIDTH;
+        const H = RECEIPT_HEIGHT;
+        const font = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+        // Background
+        const bg = ctx.createLinearGradient(0, 0, W, H);
+        bg.addColorStop(0, '#050a18');
+        bg.addColorStop(1, '#0a2430');
+        ctx.fillStyle = bg;
+        ctx.fillRect(0, 0, W, H);
+
+        // Frame
+        ctx.strokeStyle = 'rgba(0,255,255,0.6)';
+        ctx.lineWidth   = 4;
+        ctx.strokeRect(30, 30, W - 60, H - 60);
+
+        // Logo
+        if (logo) ctx.drawImage(logo, 70, 70, 150, 150);
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle    = '#00ffff';
+        ctx.font         = `700 54px ${font}`;
+        ctx.fillText('Unimate Robotics Club', 250, 90);
+
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        ctx.font      = `500 28px ${font}`;
+        ctx.fillText('Enrollment receipt', 250, 160);
+
+        // Details
+        const submitted = data.submittedAt ? new Date(data.submittedAt) : new Date();
+        const rows = [
+            ['Member',   data.name],
+            ['Interest', getInterestLabel(data.interest)],
+            ['Date',     submitted.toLocaleDateString()]
+        ];
+
+        rows.forEach(([label, value], i) => {
+            const y = 280 + i * 70;
+            ctx.fillStyle = 'rgba(255,255,255,0.5)';
+            ctx.font      = `500 26px ${font}`;
+            ctx.fillText(label.toUpperCase(), 90, y);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font      = `600 36px ${font}`;
+            ctx.fillText(value, 300, y - 6, W - 400);
+        });
+
+        // Reference
+        ctx.fillStyle = 'rgba(0,255,255,0.12)';
+        ctx.fillRect(90, H - 150, W - 180, 80);
+        ctx.fillStyle = '#00ffff';
+        ctx.font      = `700 40px ${font}`;
+        ctx.textAlign = 'center';
+        ctx.fillText(`REF  ${this.reference}`, W / 2, H - 130);
+        ctx.textAlign = 'left';
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload  = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    update(t, dt) {
+        // Sphere, rings + glow (slow spin only, no bobbing or pulsing, with reduced motion)
+        const motion = this.reducedMotion ? 0 : 1;
+
+        this.logoSphere.rotation.y = t * 0.4;
+        this.logoSphere.position.y = EYE_HEIGHT + Math.sin(t * 1.3) * 0.08 * motion;
+        this.rings.forEach((ring, i) => {
+            ring.rotation.z = t * (0.3 + i * 0.15) * (i % 2 ? -1 : 1);
+            ring.position.y = this.logoSphere.position.y;
+        });
+        this.stars.rotation.y = t * 0.01;
+        this.glowLight.intensity = 2.5 + Math.sin(t * 2) * 0.5 * motion;
+
+        if (!this.isComplete) return;
+
+        if (this.reducedMotion) {
+            this.driftConfetti(dt);
+            return;
+        }
+
+        // Confetti falls under gravity with a little flutter; re-burst periodically
+        const positions = this.confetti.geometry.attributes.position;
+        for (let i = 0; i < this.confettiCount; i++) {
+            const v = i * 3;
+            this.confettiVelocity[v + 1] -= CONFETTI_GRAVITY * dt;
+            this.confettiVelocity[v]     *= 1 - dt * 0.6;
+            this.confettiVelocity[v + 2] *= 1 - dt * 0.6;
+
+            positions.setXYZ(
+                i,
+                positions.getX(i) + (this.confettiVelocity[v] + Math.sin(t * 5 + i) * 0.2) * dt,
+                positions.getY(i) + Math.max(this.confettiVelocity[v + 1], -1.5) * dt,
+                positions.getZ(i) + this.confettiVelocity[v + 2] * dt
+            );
+        }
+        positions.needsUpdate = true;
+
+        this.burstTimer += dt;
+        if (this.burstTimer >= BURST_INTERVAL) {
+            this.burstTimer = 0;
+            this.burst();
+        }
+    }
+
+    /** Steady fall, wrapping back to the top — no bursts, no flutter. */
+    driftConfetti(dt) {
+        const positions = this.confetti.geometry.attributes.position;
+        for (let i = 0; i < this.confettiCount; i++) {
+            let y = positions.getY(i) + this.confettiVelocity[i * 3 + 1] * dt;
+            if (y < 0) y += 5;
+            positions.setY(i, y);
+        }
+        positions.needsUpdate = true;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        const confetti = this.reducedMotion ? 'Confetti drifts down' : 'Confetti bursts';
+        return `${confetti} around the club sphere next to a summary of your application.`;
+    }
+}
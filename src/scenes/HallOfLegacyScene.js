@@ -0,0 +1,506 @@
+/**
+ * HallOfLegacyScene.js
+ * Stage 6 — Hall of Legacy
+ *
+ * A gallery hall generated entirely from src/data/legacyData.js. Every
+ * competition entry gets a plinth with a trophy (gold / silver / bronze cup,
+ * crystal for special awards, medal otherwise), an engraved plaque and an
+ * optional framed photo. Entries alternate left / right down the hall,
+ * newest season first, with a hanging banner where each season begins —
+ * the hall's length follows the data.
+ *
+ * Interaction:
+ *  - Forward / backward walk down the hall, left / right look around.
+ *  - Click / tap a plinth → camera steps up to it and a detail panel opens
+ *    (team, members, summary, photo). Prev / next cycle through entries.
+ *  - × or Esc closes the detail view.
+ *
+ * In guided mode a CameraRail walks the aisle instead, pausing to face each
+ * exhibit; Enter opens the one in view.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import AssetManager from '../core/AssetManager.js';
+import Locomotion from '../Locomotion.js';
+import CameraRail from '../CameraRail.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+import { getLegacyEntries } from '../data/legacyData.js';
+import { assetUrl } from '../data/sceneAssets.js';
+
+// ─── Layout (world units ≈ metres) ───────────────────────────────────────────
+const EYE_HEIGHT    = 1.6;
+const HALL_WIDTH    = 8;
+const ROW_SPACING   = 5;      // distance between plinth rows
+const FIRST_ROW_Z   = -4;
+const PLINTH_X      = 3;      // distance of plinths from the aisle centre
+const START_Z       = 3;
+const FOCUS_X       = 1.1;    // camera distance from the aisle centre when focused
+const CAMERA_EASE   = 3;
+const STOP_OFFSET   = 0.8;    // guided stops sit just before (left) / after (right) a plinth
+
+const TROPHY_COLORS = { 1: '#ffd700', 2: '#d8dde6', 3: '#cd7f32' };
+const AWARD_COLOR   = '#00ffff';
+const MEDAL_COLOR   = '#7fa7ff';
+
+export default class HallOfLegacyScene extends BaseScene {
+
+    static ui = ['arrows', 'cameraMode', 'navbar', 'progress'];
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#0b0a10');
+
+        this.entries      = getLegacyEntries();
+        this.exhibits     = [];    // { entry, group, trophy, side, z }
+        this.focused      = null;  // index into exhibits
+        this.cameraTarget = new THREE.Vector3(0, EYE_HEIGHT, START_Z);
+        this.raycaster    = new THREE.Raycaster();
+
+        const rows    = Math.ceil(this.entries.length / 2);
+        this.hallEndZ = FIRST_ROW_Z - (rows - 1) * ROW_SPACING - 4;
+
+        // Walking is locked to the aisle; the camera eases after the walker
+        // so focusing an exhibit can pull it aside
+        this.locomotion = new Locomotion(this.camera, this.controls, {
+            eyeHeight:   EYE_HEIGHT,
+            driveCamera: false,
+            path:        new THREE.LineCurve3(
+                new THREE.Vector3(0, 0, START_Z),
+                new THREE.Vector3(0, 0, this.hallEndZ + 1.5)
+            )
+        });
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createExhibits();
+        this.createRail();
+        this.createDetailPanel();
+        this.addBackButton();
+        this.addHint('Walk down the hall and click a trophy to read its story');
+    }
+
+    enter() {
+        this.listen(window, 'canvas-tap', (e) => this.handleTap(e.detail));
+        this.listen(window, 'keydown', (e) => {
+            if (e.key === 'Escape') this.unfocus();
+            if (e.key === 'Enter' && this.guided && this.focused === null && this.rail.currentStop) {
+                this.focus(this.rail.currentStop.exhibitIndex);
+            }
+        });
+
+        this.controls.resetRotation();
+        this.camera.setPosition(0, EYE_HEIGHT, START_Z);
+        this.setGuided(this.globalState.isGuided());
+        this.walker.setPosition(0, START_Z);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#0b0a10', 14, 40);
+
+        const length = START_Z + 2 - this.hallEndZ;
+        const midZ   = (START_Z + 2 + this.hallEndZ) / 2;
+
+        // Polished floor with a runner down the aisle
+        const floor = new THREE.Mesh(
+            new THREE.PlaneGeometry(HALL_WIDTH, length),
+            new THREE.MeshStandardMaterial({ color: '#1a1720', roughness: 0.25, metalness: 0.4 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.z = midZ;
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+
+        const runner = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.6, length),
+            new THREE.MeshStandardMaterial({ color: '#4a0f1f', roughness: 0.9 })
+        );
+        runner.rotation.x = -Math.PI / 2;
+        runner.position.set(0, 0.01, midZ);
+        this.scene.add(runner);
+
+        // Walls + end wall
+        const wallMat = new THREE.MeshStandardMaterial({ color: '#221d2b', roughness: 0.8 });
+        [-1, 1].forEach(side => {
+            const wall = new THREE.Mesh(new THREE.PlaneGeometry(length, 6), wallMat);
+            wall.position.set(side * HALL_WIDTH / 2, 3, midZ);
+            wall.rotation.y = -side * Math.PI / 2;
+            wall.receiveShadow = true;
+            this.scene.add(wall);
+        });
+
+        const endWall = new THREE.Mesh(new THREE.PlaneGeometry(HALL_WIDTH, 6), wallMat);
+        endWall.position.set(0, 3, this.hallEndZ);
+        this.scene.add(endWall);
+
+        // Title over the end wall
+        const title = new THREE.Mesh(
+            new THREE.PlaneGeometry(6, 1.2),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(['HALL OF LEGACY', 'Every trophy, every team'], {
+                    width: 1024, height: 204, fontSize: 72, color: '#ffd700', glow: 'rgba(255,215,0,0.7)'
+                }),
+                transparent: true
+            })
+        );
+        title.position.set(0, 4.2, this.hallEndZ + 0.05);
+        this.scene.add(title);
+
+        // Gold trim along the top of the walls
+        const trimMat = new THREE.MeshStandardMaterial({ color: '#ffd700', emissive: '#ffd700', emissiveIntensity: 0.3, metalness: 1, roughness: 0.3 });
+        [-1, 1].forEach(side => {
+            const trim = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.08, length), trimMat);
+            trim.position.set(side * (HALL_WIDTH / 2 - 0.03), 4.6, midZ);
+            this.scene.add(trim);
+        });
+    }
+
+    /**
+     * Guided route down the aisle, stopping to face every exhibit in turn.
+     * Built after the exhibits since the hall's length follows the data.
+     */
+    createRail() {
+        this.rail = new CameraRail(this.camera, this.controls, {
+            eyeHeight:   EYE_HEIGHT,
+            driveCamera: false,
+            hold:        1.5,
+            path:        new THREE.CatmullRomCurve3([
+                new THREE.Vector3(0, 0, START_Z),
+                new THREE.Vector3(0, 0, (START_Z + this.hallEndZ) / 2),
+                new THREE.Vector3(0, 0, this.hallEndZ + 1.5)
+            ]),
+            stops: this.exhibits.map((exhibit, i) => ({
+                at:           new THREE.Vector3(0, 0, this.railStopZ(exhibit)),
+                exhibitIndex: i
+            })),
+            lookAt: this.exhibits.map(exhibit => ({
+                at:     new THREE.Vector3(0, 0, this.railStopZ(exhibit)),
+                target: new THREE.Vector3(exhibit.side * PLINTH_X, 1.3, exhibit.z),
+                radius: 2
+            }))
+        });
+    }
+
+    railStopZ(exhibit) {
+        return exhibit.z - exhibit.side * STOP_OFFSET;
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#ffe9c9', 0.22));
+        this.scene.add(new THREE.HemisphereLight('#fff1d6', '#0b0a10', 0.3));
+    }
+
+    createExhibits() {
+        let lastSeason = null;
+
+        this.entries.forEach((entry, i) => {
+            const row  = Math.floor(i / 2);
+            const side = i % 2 === 0 ? -1 : 1;
+            const z    = FIRST_ROW_Z - row * ROW_SPACING;
+
+            const group = new THREE.Group();
+            group.position.set(side * PLINTH_X, 0, z);
+            group.rotation.y = -side * Math.PI / 2; // front faces the aisle
+            group.userData.exhibitIndex = i;
+
+            // Plinth
+            const plinth = new THREE.Mesh(
+                new THREE.BoxGeometry(0.9, 1.1, 0.9),
+                new THREE.MeshStandardMaterial({ color: '#ece6da', roughness: 0.35, metalness: 0.05 })
+            );
+            plinth.position.y = 0.55;
+            plinth.castShadow    = true;
+            plinth.receiveShadow = true;
+            group.add(plinth);
+
+            // Trophy
+            const trophy = this.buildTrophy(entry);
+            trophy.position.y = 1.1;
+            trophy.traverse(obj => { if (obj.isMesh) obj.castShadow = true; });
+            group.add(trophy);
+
+            // Engraved plaque on the plinth front
+            const plaque = new THREE.Mesh(
+                new THREE.PlaneGeometry(0.8, 0.4),
+                new THREE.MeshBasicMaterial({
+                    map: createTextTexture(
+                        [entry.name, `${entry.season} · ${this.placementLabel(entry)}`, entry.team],
+                        { width: 512, height: 256, fontSize: 48, subFontScale: 0.62, color: '#2a2010', background: '#d4b76a' }
+                    )
+                })
+            );
+            plaque.position.set(0, 0.72, 0.451);
+            group.add(plaque);
+
+            // Optional photo on the wall behind
+            if (entry.photo) {
+                const texture = new AssetManager().getTexture(assetUrl(entry.photo));
+
+                const frame = new THREE.Mesh(
+                    new THREE.BoxGeometry(1.5, 1.1, 0.05),
+                    new THREE.MeshStandardMaterial({ color: '#3a2a10', metalness: 0.6, roughness: 0.4 })
+                );
+                frame.position.set(0, 2.6, -(HALL_WIDTH / 2 - PLINTH_X) + 0.05);
+                group.add(frame);
+
+                const photo = new THREE.Mesh(
+                    new THREE.PlaneGeometry(1.36, 0.96),
+                    new THREE.MeshBasicMaterial({ map: texture })
+                );
+                photo.position.set(0, 2.6, frame.position.z + 0.03);
+                group.add(photo);
+            }
+
+            // Spotlight from above
+            const spot = new THREE.SpotLight('#fff1d6', 12, 5, Math.PI / 7, 0.4, 1.5);
+            spot.position.set(side * PLINTH_X, 4.2, z);
+            spot.target = trophy;
+            spot.castShadow = true;
+            spot.shadow.mapSize.set(512, 512);
+            this.scene.add(spot);
+
+            // Season banner where a new season starts
+            if (entry.season !== lastSeason) {
+                lastSeason = entry.season;
+                this.createSeasonBanner(entry.season, z + ROW_SPACING / 2);
+            }
+
+            this.scene.add(group);
+            this.exhibits.push({ entry, group, trophy, side, z });
+        });
+    }
+
+    createSeasonBanner(season, z) {
+        const banner = new THREE.Mesh(
+            new THREE.PlaneGeometry(3, 0.6),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(`SEASON ${season}`, {
+                    width: 1024, height: 204, fontSize: 110, color: '#ffd700', background: 'rgba(40,10,20,0.9)'
+                }),
+                side: THREE.DoubleSide
+            })
+        );
+        banner.position.set(0, 3.6, z);
+        this.scene.add(banner);
+    }
+
+    /* ── Trophies ────────────────────────────────────────────────────── */
+
+    buildTrophy(entry) {
+        const group = new THREE.Group();
+
+        if (entry.placement >= 1 && entry.placement <= 3) {
+            const mat = new THREE.MeshStandardMaterial({
+                color: TROPHY_COLORS[entry.placement], metalness: 1, roughness: 0.2
+            });
+
+            // Cup profile revolved around Y
+            const profile = [
+                [0.0, 0.0], [0.16, 0.0], [0.16, 0.05], [0.05, 0.08], [0.035, 0.25],
+                [0.06, 0.3], [0.17, 0.38], [0.2, 0.55], [0.19, 0.58]
+            ].map(([x, y]) => new THREE.Vector2(x, y));
+            const cup = new THREE.Mesh(new THREE.LatheGeometry(profile, 40), mat);
+            group.add(cup);
+
+            [-1, 1].forEach(s => {
+                const handle = new THREE.Mesh(new THREE.TorusGeometry(0.07, 0.015, 8, 24, Math.PI), mat);
+                handle.position.set(s * 0.19, 0.46, 0);
+                handle.rotation.z = -s * Math.PI / 2;
+                group.add(handle);
+            });
+        } else if (entry.placement === null) {
+            // Special award — floating crystal
+            const crystal = new THREE.Mesh(
+                new THREE.OctahedronGeometry(0.2, 0),
+                new THREE.MeshStandardMaterial({
+                    color: AWARD_COLOR, emissive: AWARD_COLOR, emissiveIntensity: 0.4,
+                    metalness: 0.2, roughness: 0.05, transparent: true, opacity: 0.85
+                })
+            );
+            crystal.position.y = 0.4;
+            crystal.scale.y = 1.5;
+            group.add(crystal);
+            group.userData.spin = true;
+        } else {
+            // Other placements — medal on a stand
+            const mat   = new THREE.MeshStandardMaterial({ color: MEDAL_COLOR, metalness: 0.9, roughness: 0.25 });
+            const medal = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.16, 0.03, 32), mat);
+            medal.rotation.x = Math.PI / 2;
+            medal.position.y = 0.3;
+            group.add(medal);
+
+            const stand = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.14, 0.05), mat);
+            stand.position.y = 0.07;
+            group.add(stand);
+        }
+
+        return group;
+    }
+
+    placementLabel(entry) {
+        if (entry.placement === null) return entry.award || 'Special Award';
+
+        const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[entry.placement] || 'th';
+        return `${entry.placement}${suffix} Place`;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UI
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createDetailPanel() {
+        const panel = document.createElement('aside');
+        panel.id        = 'legacy-detail';
+        panel.className = 'glass-panel hidden';
+        panel.innerHTML = `
+            <button class="panel-close" aria-label="Close">×</button>
+            <h2 data-detail="name"></h2>
+            <div class="panel-subtitle" data-detail="meta"></div>
+            <p data-detail="placement" style="color: #ffd700; font-weight: 600;"></p>
+            <img data-detail="photo" alt="" style="width: 100%; border-radius: 10px; margin-bottom: 12px; display: none;">
+            <p data-detail="summary"></p>
+            <p data-detail="team" style="margin-bottom: 4px; font-weight: 600;"></p>
+            <ul data-detail="members"></ul>
+            <div class="panel-actions">
+                <button class="panel-btn" data-action="prev">← Previous</button>
+                <button class="panel-btn" data-action="next">Next →</button>
+            </div>
+        `;
+
+        panel.querySelector('.panel-close').addEventListener('click', () => this.unfocus());
+        panel.querySelector('[data-action="prev"]').addEventListener('click', () => this.step(-1));
+        panel.querySelector('[data-action="next"]').addEventListener('click', () => this.step(1));
+
+        this.panelEl = this.addDom(panel);
+    }
+
+    fillDetailPanel(entry) {
+        const $ = (key) => this.panelEl.querySelector(`[data-detail="${key}"]`);
+
+        $('name').textContent      = entry.name;
+        $('meta').textContent      = `${entry.season} · ${entry.category}`;
+        $('placement').textContent = entry.placement !== null && entry.award
+            ? `${this.placementLabel(entry)} · ${entry.award}`
+            : this.placementLabel(entry);
+        $('summary').textContent   = entry.summary;
+        $('team').textContent      = entry.team;
+
+        const members = $('members');
+        members.innerHTML = '';
+        entry.members.forEach(name => {
+            const li = document.createElement('li');
+            li.textContent = name;
+            members.appendChild(li);
+        });
+
+        const photo = $('photo');
+        if (entry.photo) {
+            photo.src = assetUrl(entry.photo);
+            photo.alt = `${entry.team} at ${entry.name}`;
+            photo.style.display = '';
+        } else {
+            photo.removeAttribute('src');
+            photo.style.display = 'none';
+        }
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       INTERACTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    handleTap({ x, y }) {
+        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera.instance);
+        const hits = this.raycaster.intersectObjects(this.exhibits.map(e => e.group), true);
+        if (!hits.length) return;
+
+        let obj = hits[0].object;
+        while (obj && obj.userData.exhibitIndex === undefined) obj = obj.parent;
+        if (obj) this.focus(obj.userData.exhibitIndex);
+    }
+
+    focus(index) {
+        const exhibit = this.exhibits[index];
+        if (!exhibit) return;
+
+        this.focused = index;
+        this.walker.stop();
+
+        this.cameraTarget.set(exhibit.side * FOCUS_X, EYE_HEIGHT - 0.1, exhibit.z);
+        this.controls.rotation.targetHorizontal = -exhibit.side * Math.PI / 2;
+        this.controls.rotation.targetVertical   = -0.15;
+
+        this.fillDetailPanel(exhibit.entry);
+        this.panelEl.classList.remove('hidden');
+        this.hideHint();
+    }
+
+    unfocus() {
+        if (this.focused === null) return;
+
+        this.walker.setPosition(0, this.railStopZ(this.exhibits[this.focused]));
+        this.focused = null;
+
+        this.cameraTarget.copy(this.walker.position);
+        this.controls.rotation.targetVertical = 0;
+        this.panelEl.classList.add('hidden');
+    }
+
+    step(direction) {
+        if (this.focused === null) return;
+        const count = this.exhibits.length;
+        this.focus((this.focused + direction + count) % count);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    update(t, dt) {
+        if (this.focused === null) this.updateWalk(dt);
+
+        // Sweeps to an exhibit and back; a cut with reduced motion
+        const ease = this.globalState.isReducedMotion() ? 1 : Math.min(dt * CAMERA_EASE, 1);
+        this.camera.instance.position.lerp(this.cameraTarget, ease);
+
+        // Award crystals spin and bob (spin only with reduced motion)
+        const bob = this.globalState.isReducedMotion() ? 0 : Math.sin(t * 1.5) * 0.04;
+        this.exhibits.forEach(({ trophy }) => {
+            if (!trophy.userData.spin) return;
+            trophy.rotation.y = t * 0.8;
+            trophy.position.y = 1.1 + bob;
+        });
+    }
+
+    updateWalk(dt) {
+        this.followCameraMode();
+        this.walker.update(dt);
+        this.cameraTarget.copy(this.walker.position);
+
+        if (this.walker.position.z < START_Z - 1) this.hideHint();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return `A gallery hall with ${this.exhibits.length} trophies from the club's competitions, newest first.`;
+    }
+
+    getHotspots() {
+        return this.exhibits.map(({ entry }, i) => ({
+            label:       entry.name,
+            description: `${entry.season}, ${this.placementLabel(entry)}, ${entry.team}`,
+            action:      () => {
+                this.focus(i);
+                this.panelEl.querySelector('.panel-close').focus();
+            }
+        }));
+    }
+}
@@ -3,7 +3,12 @@
  * Stage 1 — Launch screen
  *
  * Animation timeline:
- *  Phase 0  [0 → 2.5s]   Progress ring fills. Dot pulses.
+ *  Phase 0  [while loading] Progress ring follows the real asset progress
+ *                         (GlobalState.loadingProgress, fed by App's
+ *                         AssetManager). Dot pulses. The ring only completes
+ *                         once GlobalState.isLoading is false.
+ *                         With GlobalState.skipIntro (deep links) the scene
+ *                         completes right here — phases 1–5 are skipped.
  *  Phase 1  [on complete] Ring fades out (0.4s). Dot continues pulsing.
  *  Phase 2  [after ring]  Dot does exactly 2 full pulses, then explodes:
  *                         scale rockets up, material opacity rises to ~0.18 (fills screen, translucent cyan wash).
@@ -13,28 +18,36 @@
  *  Phase 5  [on pulse peak] "Whoosh" sound. Text + particles expand to full screen → opacity → 0.
  *                           Everything disappears → advance to next scene.
  *
- * Controls: look / swipe / ← ↓ → arrows are all DISABLED in this scene.
- * Only forward arrow is hidden too (it does nothing here).
+ * Reduced motion (GlobalState.isReducedMotion()): a shortened static
+ * variant. The ring doesn't spin, the dot doesn't pulse and the particles
+ * hold still; once loaded, phases 1–5 are replaced by 'calmWelcome' — the
+ * ring fades while the welcome text fades in, holds, and fades out.
+ *
+ * Controls: look and movement are off and the arrow buttons hidden for
+ * the whole intro (see `permissions` / `ui`).
  */
 
 import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
 
 // ─── Timing constants (seconds unless noted) ─────────────────────────────────
-const LOAD_DURATION_MS          = 1500; // shortened: fake loader
+const RING_MIN_FILL_DURATION    = 0.6;   // ring never fills faster than this, even from cache
 const RING_FADE_DURATION        = 0.3;  // ring fade-out
 const DOT_PULSES_BEFORE_EXPLODE = 1;   // shortened: 1 pulse before explosion
 const EXPLODE_DURATION          = 0.75; // slightly longer for smooth transition
 const PULSE_HOLD_BEFORE_EXIT    = 1.2;
 const EXIT_DURATION             = 0.7;
+const CALM_FADE_DURATION        = 0.5;   // reduced motion: each cross-fade
+const CALM_HOLD_DURATION        = 1.0;   // reduced motion: welcome text on screen
+
+export default class LoadingScene extends BaseScene {
 
-export default class LoadingScene {
+    static permissions = { look: false, move: false };
+    static ui          = ['navbar', 'progress'];
 
-    constructor(camera, audioManager, globalState) {
-        this.camera       = camera;
-        this.audioManager = audioManager;
-        this.globalState  = globalState;
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
 
-        this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color('#000000');
 
         // ── Phase state machine ───────────────────────────────────────────
@@ -51,20 +64,21 @@ export default class LoadingScene {
         // Particle original radii (set during createParticles)
         this.particleBaseRadii = null;
 
+        // Read once: switching mid-intro would leave a half-played phase
+        this.reducedMotion = this.globalState.isReducedMotion();
+
         // Build scene
         this.createEnvironment();
         this.createLights();
         this.createLoadingVisuals();
         this.createWelcomeText();
+    }
 
-        // Disable controls in stage 1
-        this.disableControls();
+    enter() {
+        this.camera.setPosition(0, 0, 5);
+        this.camera.lookAt(0, 0, 0);
 
-        // Audio
         this.startAudio();
-
-        // Kick off fake loader
-        this.simulateLoading();
     }
 
     /* ══════════════════════════════════════════════════════════════════════
@@ -118,7 +132,7 @@ export default class LoadingScene {
     }
 
     createParticles() {
-        const count     = 80;
+        const count     = Math.round(80 * this.globalState.getQuality().particles);
         const positions = new Float32Array(count * 3);
 
         this.particleAngles    = new Float32Array(count);
@@ -158,6 +172,8 @@ export default class LoadingScene {
         const el = document.createElement('div');
         el.id = 'welcome-text';
         el.innerText = 'Welcome to Unimate Robotics Club';
+        el.setAttribute('role', 'heading');
+        el.setAttribute('aria-level', '1');
 
         Object.assign(el.style, {
             position:       'fixed',
@@ -181,38 +197,14 @@ export default class LoadingScene {
             willChange:     'opacity, transform, text-shadow'
         });
 
-        document.body.appendChild(el);
-        this.welcomeEl = el;
-    }
-
-    /* ══════════════════════════════════════════════════════════════════════
-       CONTROLS — disable look / swipe / arrows (except forward)
-    ══════════════════════════════════════════════════════════════════════ */
-
-    disableControls() {
-        // Hide all arrow buttons
-        ['arrow-backward', 'arrow-left', 'arrow-right', 'arrow-forward'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el) el.style.display = 'none';
-        });
-
-        // Block mouse look and touch look during stage 1
-        this._blockLook = true;
-    }
-
-    enableControls() {
-        // Re-show desktop arrows (forward, left, right, backward)
-        ['arrow-forward', 'arrow-backward', 'arrow-left', 'arrow-right'].forEach(id => {
-            const el = document.getElementById(id);
-            if (el) el.style.display = '';
-        });
-        this._blockLook = false;
+        this.welcomeEl = this.addDom(el);
     }
 
     /* ══════════════════════════════════════════════════════════════════════
        AUDIO
     ══════════════════════════════════════════════════════════════════════ */
 
+    /** The hum starts on the first click / tap (browsers block autoplay). */
     startAudio() {
         const init = () => {
             this.audioManager.init();
@@ -221,101 +213,36 @@ export default class LoadingScene {
             document.removeEventListener('click',      init);
             document.removeEventListener('touchstart', init);
         };
-        document.addEventListener('click',      init);
-        document.addEventListener('touchstart', init);
+        this.listen(document, 'click',      init);
+        this.listen(document, 'touchstart', init);
     }
 
-    /**
-     * Whoosh sound — synthesized high-pitched sweep
-     * To swap in a custom audio file later, see AudioManager.js
-     */
+    /** Whoosh for the exit burst — see AudioManager.playWhoosh(). */
     playWhoosh() {
-        if (!this.audioManager.initialized) return;
-
-        const ctx  = this.audioManager.audioContext;
-        const gain = ctx.createGain();
-        gain.connect(ctx.destination);
-        gain.gain.setValueAtTime(0.4, ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + EXIT_DURATION);
-
-        // Sweeping oscillator: starts high, goes higher
-        const osc = ctx.createOscillator();
-        osc.type = 'sine';
-        osc.frequency.setValueAtTime(800,  ctx.currentTime);
-        osc.frequency.exponentialRampToValueAtTime(4000, ctx.currentTime + EXIT_DURATION);
-        osc.connect(gain);
-        osc.start(ctx.currentTime);
-        osc.stop(ctx.currentTime + EXIT_DURATION + 0.05);
-
-        // Noise layer for "air rush" feel
-        const bufferSize = ctx.sampleRate * EXIT_DURATION;
-        const buffer     = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-        const data       = buffer.getChannelData(0);
-        for (let i = 0; i < bufferSize; i++) data[i] = Math.random() * 2 - 1;
-
-        const noiseSource = ctx.createBufferSource();
-        noiseSource.buffer = buffer;
-
-        const bandpass = ctx.createBiquadFilter();
-        bandpass.type      = 'bandpass';
-        bandpass.frequency.setValueAtTime(1200, ctx.currentTime);
-        bandpass.frequency.exponentialRampToValueAtTime(6000, ctx.currentTime + EXIT_DURATION);
-        bandpass.Q.value   = 1.5;
-
-        const noiseGain = ctx.createGain();
-        noiseGain.gain.setValueAtTime(0.25, ctx.currentTime);
-        noiseGain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + EXIT_DURATION);
-
-        noiseSource.connect(bandpass);
-        bandpass.connect(noiseGain);
-        noiseGain.connect(ctx.destination);
-        noiseSource.start(ctx.currentTime);
-        noiseSource.stop(ctx.currentTime + EXIT_DURATION + 0.05);
-    }
-
-    /* ══════════════════════════════════════════════════════════════════════
-       LOADING SIMULATION
-    ══════════════════════════════════════════════════════════════════════ */
-
-    simulateLoading() {
-        const startTime = Date.now();
-
-        const tick = () => {
-            const progress = Math.min((Date.now() - startTime) / LOAD_DURATION_MS, 1);
-            this.loadingProgress = progress;
-            this.globalState.setLoadingProgress(progress);
-
-            if (progress < 1) {
-                requestAnimationFrame(tick);
-            } else {
-                this.audioManager.stopMechanicalHum();
-                this.phase      = 'ringFade';
-                this.phaseTimer = 0;
-            }
-        };
-
-        requestAnimationFrame(tick);
+        this.audioManager.playWhoosh(EXIT_DURATION);
     }
 
     /* ══════════════════════════════════════════════════════════════════════
        UPDATE  — called every frame by App.js
     ══════════════════════════════════════════════════════════════════════ */
 
-    update(time, delta) {
+    update(t, dt) {
         if (this.isComplete) return;
 
-        const dt = delta * 0.001; // convert ms → seconds
         this.pulseTime  += dt;
         this.phaseTimer += dt;
 
-        // Always spin background guide ring slowly
-        this.progressRing.rotation.z += delta * 0.0004;
+        if (!this.reducedMotion) {
+            // Spin background guide ring slowly
+            this.progressRing.rotation.z += dt * 0.4;
 
-        // Always orbit particles
-        this.orbitParticles(delta);
+            // Orbit particles
+            this.orbitParticles(dt);
+        }
 
         switch (this.phase) {
-            case 'loading':     this.updateLoading();          break;
+            case 'loading':     this.updateLoading(dt);        break;
+            case 'calmWelcome': this.updateCalmWelcome(dt);    break;
             case 'ringFade':    this.updateRingFade(dt);       break;
             case 'dotExplode':  this.updateDotExplode(dt);     break;
             case 'textPulse':   this.updateTextPulse(dt);      break;
@@ -323,12 +250,27 @@ export default class LoadingScene {
         }
     }
 
-    /* ── Phase: loading ──────────────────────────────────────────────── */
-    updateLoading() {
+    /* ── Phase: loading — ring eases toward the real progress ─────────── */
+    updateLoading(dt) {
+        const target = this.globalState.loadingProgress;
+        this.loadingProgress = Math.min(target, this.loadingProgress + dt / RING_MIN_FILL_DURATION);
+
+        if (!this.globalState.isLoading && this.loadingProgress >= 1) {
+            this.audioManager.stopMechanicalHum();
+            if (this.globalState.skipIntro) {
+                this.complete();
+                return;
+            }
+            this.phase      = this.reducedMotion ? 'calmWelcome' : 'ringFade';
+            this.phaseTimer = 0;
+        }
+
         // Pulsing dot
-        const s = 1 + Math.sin(this.pulseTime * 3) * 0.3;
-        this.pulsingDot.scale.setScalar(s);
-        this.centerLight.intensity = 1.5 + Math.sin(this.pulseTime * 3) * 0.8;
+        if (!this.reducedMotion) {
+            const s = 1 + Math.sin(this.pulseTime * 3) * 0.3;
+            this.pulsingDot.scale.setScalar(s);
+            this.centerLight.intensity = 1.5 + Math.sin(this.pulseTime * 3) * 0.8;
+        }
 
         // Grow progress arc
         const arcLength = this.loadingProgress * Math.PI * 2;
@@ -336,6 +278,24 @@ export default class LoadingScene {
         this.progressArc.geometry = new THREE.TorusGeometry(0.8, 0.04, 16, 100, arcLength);
     }
 
+    /* ── Phase: calmWelcome — reduced motion: fades only, no movement ─── */
+    updateCalmWelcome(dt) {
+        const t        = this.phaseTimer;
+        const fadeIn   = Math.min(t / CALM_FADE_DURATION, 1);
+        const fadeOut  = Math.min(Math.max(t - CALM_FADE_DURATION - CALM_HOLD_DURATION, 0) / CALM_FADE_DURATION, 1);
+
+        // Ring, dot and particles give way to the text
+        this.ringMat.opacity     = 0.35 * (1 - fadeIn);
+        this.arcMat.opacity      = 1 - fadeIn;
+        this.dotMat.opacity      = 1 - fadeIn;
+        this.particleMat.opacity = 0.7 * (1 - fadeOut);
+        this.centerLight.intensity = 1.5 * (1 - fadeOut);
+
+        if (this.welcomeEl) this.welcomeEl.style.opacity = String(fadeIn * (1 - fadeOut));
+
+        if (fadeOut >= 1) this.complete();
+    }
+
     /* ── Phase: ringFade — fade ring + arc out over RING_FADE_DURATION ── */
     updateRingFade(dt) {
         const t = Math.min(this.phaseTimer / RING_FADE_DURATION, 1);
@@ -488,19 +448,21 @@ export default class LoadingScene {
         // Light fades
         this.centerLight.intensity = (1 - ease) * 1.5;
 
-        if (t >= 1) {
-            this.isComplete = true;
-            this.enableControls();
-            this.globalState.setCanProgress(true);
-        }
+        if (t >= 1) this.complete();
+    }
+
+    /** Hand control back and let App move on to the landing scene. */
+    complete() {
+        this.isComplete = true;
+        this.globalState.setCanProgress(true);
     }
 
     /* ══════════════════════════════════════════════════════════════════════
        HELPERS
     ══════════════════════════════════════════════════════════════════════ */
 
-    orbitParticles(delta) {
-        const speed     = delta * 0.0004;
+    orbitParticles(dt) {
+        const speed     = dt * 0.4;
         const count     = this.particleAngles.length;
         const positions = this.particles.geometry.attributes.position;
 
@@ -524,20 +486,10 @@ export default class LoadingScene {
     }
 
     /* ══════════════════════════════════════════════════════════════════════
-       DISPOSE
+       ACCESSIBILITY  — read by AccessibilityLayer
     ══════════════════════════════════════════════════════════════════════ */
 
-    dispose() {
-        if (this.welcomeEl && this.welcomeEl.parentNode) {
-            this.welcomeEl.parentNode.removeChild(this.welcomeEl);
-        }
-        this.scene.traverse((obj) => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                Array.isArray(obj.material)
-                    ? obj.material.forEach(m => m.dispose())
-                    : obj.material.dispose();
-            }
-        });
+    getDescription() {
+        return 'A glowing ring fills up while the academy loads, then the journey begins.';
     }
 }
\ No newline at end of file
@@ -0,0 +1,496 @@
+/**
+ * MainStreetScene.js
+ * Stage 3 — Main Street hub
+ *
+ * A lit academy street with signposted entrances to each district. The
+ * visitor walks freely (forward / backward along the look direction, left /
+ * right to turn) and picks where to go: stepping into an entrance's glowing
+ * threshold switches to that district. Entrances to districts already
+ * visited are marked so the visitor can see what they've explored.
+ *
+ * Coming back from a district places the visitor just outside its entrance,
+ * facing back onto the street.
+ *
+ * In guided mode the visitor rides a CameraRail down the middle of the
+ * street instead, pausing to face each entrance; an "Enter" prompt (or the
+ * Enter key) goes in, and riding on to the end of the street enters the
+ * Enrollment Hub.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import Locomotion from '../Locomotion.js';
+import CameraRail from '../CameraRail.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+
+// ─── Layout (world units ≈ metres) ───────────────────────────────────────────
+const STREET_HALF_WIDTH = 3;
+const STREET_START_Z    = 6;
+const STREET_END_Z      = -32;
+const ALCOVE_DEPTH      = 3;     // how far entrances sit back from the street edge
+const ALCOVE_HALF_SPAN  = 1.6;   // half width of an entrance along the street
+const EYE_HEIGHT        = 1.6;
+const STOP_OFFSET       = 0.8;   // guided stops sit just before (left) / after (right) an entrance
+
+/**
+ * District entrances. `side` is -1 (left), 1 (right) or 0 (end of street).
+ * `scene` is the App scene key, `slug` the GlobalState.sceneNames entry.
+ */
+const DISTRICTS = [
+    { scene: 'workshopDistrict', slug: 'workshop-district', label: 'Workshop District', tagline: 'Build real robots',       color: '#ffaa33', side: -1, z:  -6 },
+    { scene: 'competitionArena', slug: 'competition-arena', label: 'Competition Arena', tagline: 'Race the clock',          color: '#ff3366', side:  1, z:  -6 },
+    { scene: 'hallOfLegacy',     slug: 'hall-of-legacy',    label: 'Hall of Legacy',    tagline: 'Meet our champions',      color: '#ffd700', side: -1, z: -18 },
+    { scene: 'enrollmentHub',    slug: 'enrollment-hub',    label: 'Enrollment Hub',    tagline: 'Join the club',           color: '#00ffaa', side:  0, z: STREET_END_Z }
+];
+
+export default class MainStreetScene extends BaseScene {
+
+    static ui = ['arrows', 'cameraMode', 'navbar', 'progress'];
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#070a14');
+
+        this.isComplete = false;
+        this.entrances  = [];   // { district, zone: THREE.Box2, frameMat, sign }
+        this.currentEntrance = null;   // entrance the visitor is standing in
+
+        this.locomotion = new Locomotion(this.camera, this.controls, {
+            eyeHeight: EYE_HEIGHT,
+            walkable:  this.createWalkableAreas()
+        });
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createEntrances();
+        this.createDirectory();
+        this.createRail();
+        this.addHint();
+        this.createEnterPrompt();
+    }
+
+    enter(from) {
+        this.listen(window, 'keydown', (e) => {
+            if (e.key === 'Enter' && this.guided && this.rail.currentStop) this.enterDistrict(this.rail.currentStop.district);
+        });
+
+        // The district didn't load: stay on the street and let the visitor try again
+        this.listen(window, 'scene-request-failed', () => { this.isComplete = false; });
+
+        this.placeCamera(from);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#070a14', 12, 45);
+
+        const length = STREET_START_Z - STREET_END_Z + 4;
+        const midZ   = (STREET_START_Z + STREET_END_Z) / 2;
+
+        // Ground + street surface
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(60, 80),
+            new THREE.MeshStandardMaterial({ color: '#0c1019', roughness: 0.95 })
+        );
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.z = midZ;
+        ground.receiveShadow = true;
+        this.scene.add(ground);
+
+        const street = new THREE.Mesh(
+            new THREE.PlaneGeometry(STREET_HALF_WIDTH * 2, length),
+            new THREE.MeshStandardMaterial({ color: '#171d2b', roughness: 0.6, metalness: 0.25 })
+        );
+        street.rotation.x = -Math.PI / 2;
+        street.position.set(0, 0.01, midZ);
+        street.receiveShadow = true;
+        this.scene.add(street);
+
+        // Centre line dashes
+        const dashMat = new THREE.MeshStandardMaterial({ color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 0.5 });
+        const dashGeo = new THREE.BoxGeometry(0.08, 0.02, 0.9);
+        for (let z = STREET_START_Z; z > STREET_END_Z + 2; z -= 2) {
+            const dash = new THREE.Mesh(dashGeo, dashMat);
+            dash.position.set(0, 0.02, z);
+            this.scene.add(dash);
+        }
+
+        // Building facades lining the street, with gaps left for the alcoves
+        const facadeMat = new THREE.MeshStandardMaterial({ color: '#1c2336', roughness: 0.75, metalness: 0.3 });
+        const windowMat = new THREE.MeshStandardMaterial({ color: '#0e1424', emissive: '#3a6aff', emissiveIntensity: 0.35 });
+
+        [-1, 1].forEach(side => {
+            for (let z = STREET_START_Z; z > STREET_END_Z; z -= 4) {
+                const blockZ = z - 2;
+                if (this.isAlcoveAt(side, blockZ)) continue;
+
+                const height = 5 + ((Math.abs(z) * 7) % 4);
+                const block  = new THREE.Mesh(new THREE.BoxGeometry(4, height, 3.8), facadeMat);
+                block.position.set(side * (STREET_HALF_WIDTH + 2), height / 2, blockZ);
+                block.castShadow    = true;
+                block.receiveShadow = true;
+                this.scene.add(block);
+
+                // Lit windows facing the street
+                for (let row = 1; row < height - 1; row += 1.6) {
+                    const win = new THREE.Mesh(new THREE.PlaneGeometry(2.6, 0.5), windowMat);
+                    win.position.set(side * (STREET_HALF_WIDTH + 0.01), row + 0.6, blockZ);
+                    win.rotation.y = -side * Math.PI / 2;
+                    this.scene.add(win);
+                }
+            }
+        });
+
+        // Street lamps
+        const poleMat = new THREE.MeshStandardMaterial({ color: '#2b3348', metalness: 0.8, roughness: 0.4 });
+        const bulbMat = new THREE.MeshStandardMaterial({ color: '#ffffff', emissive: '#bfefff', emissiveIntensity: 1.2 });
+        this.lamps = [];
+        for (let z = STREET_START_Z - 2; z > STREET_END_Z + 2; z -= 8) {
+            [-1, 1].forEach(side => {
+                const x = side * (STREET_HALF_WIDTH - 0.3);
+
+                const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.07, 3.4, 8), poleMat);
+                pole.position.set(x, 1.7, z);
+                this.scene.add(pole);
+                this.locomotion.addColliderFromObject(pole);
+
+                const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.14, 16, 16), bulbMat);
+                bulb.position.set(x, 3.45, z);
+                this.scene.add(bulb);
+
+                const light = new THREE.PointLight('#bfefff', 1.2, 9);
+                light.position.set(x, 3.3, z);
+                this.scene.add(light);
+                this.lamps.push(light);
+            });
+        }
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#8aa4ff', 0.25));
+        this.scene.add(new THREE.HemisphereLight('#3a5a9a', '#070a14', 0.35));
+
+        const moon = new THREE.DirectionalLight('#cfe0ff', 0.6);
+        moon.position.set(-8, 16, 4);
+        moon.castShadow = true;
+        moon.shadow.mapSize.set(1024, 1024);
+        moon.shadow.camera.left   = -20;
+        moon.shadow.camera.right  =  20;
+        moon.shadow.camera.top    =  20;
+        moon.shadow.camera.bottom = -20;
+        this.scene.add(moon);
+    }
+
+    createEntrances() {
+        DISTRICTS.forEach(district => {
+            const visited = this.globalState.hasVisited(district.slug);
+            const group   = new THREE.Group();
+
+            // Entrance threshold position + zone (in the XZ plane)
+            let zone;
+            if (district.side === 0) {
+                group.position.set(0, 0, district.z);
+                zone = new THREE.Box2(
+                    new THREE.Vector2(-ALCOVE_HALF_SPAN, district.z - 1),
+                    new THREE.Vector2( ALCOVE_HALF_SPAN, district.z + 0.8)
+                );
+            } else {
+                const x = district.side * (STREET_HALF_WIDTH + ALCOVE_DEPTH);
+                group.position.set(x, 0, district.z);
+                group.rotation.y = -district.side * Math.PI / 2;
+
+                const inner = district.side * (STREET_HALF_WIDTH + ALCOVE_DEPTH - 0.8);
+                zone = new THREE.Box2(
+                    new THREE.Vector2(Math.min(inner, x * 2), district.z - ALCOVE_HALF_SPAN),
+                    new THREE.Vector2(Math.max(inner, x * 2), district.z + ALCOVE_HALF_SPAN)
+                );
+            }
+
+            // Glowing portal frame
+            const frameMat = new THREE.MeshStandardMaterial({
+                color: district.color, emissive: district.color,
+                emissiveIntensity: visited ? 0.35 : 0.9, metalness: 0.6, roughness: 0.3
+            });
+            const postGeo = new THREE.BoxGeometry(0.25, 3.4, 0.25);
+            [-1, 1].forEach(s => {
+                const post = new THREE.Mesh(postGeo, frameMat);
+                post.position.set(s * ALCOVE_HALF_SPAN, 1.7, 0);
+                group.add(post);
+            });
+            const lintel = new THREE.Mesh(new THREE.BoxGeometry(ALCOVE_HALF_SPAN * 2 + 0.25, 0.25, 0.25), frameMat);
+            lintel.position.y = 3.4;
+            group.add(lintel);
+
+            // Shimmering portal surface
+            const portalMat = new THREE.MeshBasicMaterial({
+                color: district.color, transparent: true, opacity: 0.18,
+                side: THREE.DoubleSide, depthWrite: false
+            });
+            const portal = new THREE.Mesh(new THREE.PlaneGeometry(ALCOVE_HALF_SPAN * 2, 3.3), portalMat);
+            portal.position.y = 1.7;
+            group.add(portal);
+
+            // Threshold pad
+            const pad = new THREE.Mesh(
+                new THREE.PlaneGeometry(ALCOVE_HALF_SPAN * 2, 1.2),
+                new THREE.MeshBasicMaterial({ color: district.color, transparent: true, opacity: 0.3 })
+            );
+            pad.rotation.x = -Math.PI / 2;
+            pad.position.set(0, 0.02, 0.9);
+            group.add(pad);
+
+            // Sign above the entrance
+            const sign = new THREE.Mesh(
+                new THREE.PlaneGeometry(3.4, 0.85),
+                new THREE.MeshBasicMaterial({
+                    map: createTextTexture(this.signLines(district, visited), {
+                        width: 1024, height: 256, fontSize: 84, color: district.color, glow: district.color
+                    }),
+                    transparent: true
+                })
+            );
+            sign.position.set(0, 4.1, 0.15);
+            group.add(sign);
+
+            const light = new THREE.PointLight(district.color, 1.2, 7);
+            light.position.set(0, 2.5, 1.5);
+            group.add(light);
+
+            this.scene.add(group);
+            this.entrances.push({ district, zone, frameMat, portalMat, light });
+        });
+    }
+
+    signLines(district, visited) {
+        return [district.label, visited ? '✓ Visited' : district.tagline];
+    }
+
+    createDirectory() {
+        // Signpost at the start of the street pointing to each district
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.06, 0.06, 2.6, 8),
+            new THREE.MeshStandardMaterial({ color: '#2b3348', metalness: 0.8, roughness: 0.4 })
+        );
+        post.position.set(1.8, 1.3, STREET_START_Z - 4);
+        this.scene.add(post);
+        this.locomotion.addColliderFromObject(post);
+
+        const lines = DISTRICTS.map(d => {
+            const dir = d.side === -1 ? '← ' : d.side === 1 ? '→ ' : '↑ ';
+            return dir + d.label;
+        });
+
+        const board = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.8, 1.35),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(['MAIN STREET', ...lines], {
+                    width: 512, height: 384, fontSize: 54, subFontScale: 0.6,
+                    color: '#e6faff', background: 'rgba(10,20,40,0.85)'
+                })
+            })
+        );
+        board.position.set(1.8, 2.1, STREET_START_Z - 3.94);
+        this.scene.add(board);
+    }
+
+    /**
+     * Guided route: straight down the street, into the end portal, with a
+     * stop facing every entrance.
+     */
+    createRail() {
+        this.rail = new CameraRail(this.camera, this.controls, {
+            eyeHeight: EYE_HEIGHT,
+            path:      new THREE.CatmullRomCurve3([
+                new THREE.Vector3(0, 0, STREET_START_Z - 1),
+                new THREE.Vector3(0, 0, (STREET_START_Z + STREET_END_Z) / 2),
+                new THREE.Vector3(0, 0, STREET_END_Z - 0.2)
+            ]),
+            stops: DISTRICTS.map(district => ({
+                at:   new THREE.Vector3(0, 0, this.railStopZ(district)),
+                district
+            })),
+            lookAt: DISTRICTS.map(district => ({
+                at:     new THREE.Vector3(0, 0, this.railStopZ(district)),
+                target: new THREE.Vector3(district.side * (STREET_HALF_WIDTH + ALCOVE_DEPTH), 2.4, district.z),
+                radius: district.side === 0 ? 5 : 2.5
+            })),
+            onStop: ({ district }) => window.dispatchEvent(new CustomEvent('a11y-announce', {
+                detail: { message: `${district.label} entrance. Press Enter to go in.` }
+            }))
+        });
+    }
+
+    railStopZ(district) {
+        return district.side === 0 ? district.z + 3 : district.z - district.side * STOP_OFFSET;
+    }
+
+    /** Shown while the guided tour rests at an entrance. */
+    createEnterPrompt() {
+        const btn = document.createElement('button');
+        btn.id        = 'main-street-enter';
+        btn.className = 'panel-btn';
+        btn.hidden    = true;
+
+        Object.assign(btn.style, {
+            position:  'fixed',
+            bottom:    '180px',
+            left:      '50%',
+            transform: 'translateX(-50%)',
+            zIndex:    '150'
+        });
+
+        btn.addEventListener('click', () => {
+            if (this.rail.currentStop) this.enterDistrict(this.rail.currentStop.district);
+        });
+
+        this.enterBtn = this.addDom(btn);
+    }
+
+    /**
+     * Where the visitor can stand: the street itself, each side alcove
+     * (overlapping the street so there's no seam) and the narrow approach
+     * to the end-of-street portal.
+     */
+    createWalkableAreas() {
+        const areas = [
+            new THREE.Box2(
+                new THREE.Vector2(-(STREET_HALF_WIDTH - 0.4), STREET_END_Z + 0.5),
+                new THREE.Vector2(  STREET_HALF_WIDTH - 0.4,  STREET_START_Z)
+            ),
+            new THREE.Box2(
+                new THREE.Vector2(-(ALCOVE_HALF_SPAN - 0.3), STREET_END_Z - 1.5),
+                new THREE.Vector2(  ALCOVE_HALF_SPAN - 0.3,  STREET_END_Z + 1)
+            )
+        ];
+
+        DISTRICTS.filter(d => d.side !== 0).forEach(d => {
+            const inner = d.side * (STREET_HALF_WIDTH - 1);
+            const outer = d.side * (STREET_HALF_WIDTH + ALCOVE_DEPTH);
+            areas.push(new THREE.Box2(
+                new THREE.Vector2(Math.min(inner, outer), d.z - (ALCOVE_HALF_SPAN - 0.3)),
+                new THREE.Vector2(Math.max(inner, outer), d.z + (ALCOVE_HALF_SPAN - 0.3))
+            ));
+        });
+
+        return areas;
+    }
+
+    /**
+     * Start at the top of the street, or outside the district we just left
+     * (`from` is its scene key).
+     */
+    placeCamera(from) {
+        const district = DISTRICTS.find(d => d.scene === from);
+        let heading    = 0;
+        let x          = 0;
+        let z          = STREET_START_Z - 1;
+
+        this.setGuided(this.globalState.isGuided());
+
+        if (district && this.guided) {
+            // Back at the entrance's stop, facing it
+            z       = this.railStopZ(district);
+            heading = district.side === 0 ? 0 : -district.side * Math.PI / 2;
+        } else if (district) {
+            if (district.side === 0) {
+                z       = district.z + 3;
+                heading = Math.PI;
+            } else {
+                x       = district.side * 1.2;
+                z       = district.z;
+                heading = district.side * Math.PI / 2;
+            }
+        }
+
+        this.controls.resetRotation(heading);
+        this.walker.setPosition(x, z);
+    }
+
+    /** The hint explains whichever way of getting around is active. */
+    setGuided(guided) {
+        super.setGuided(guided);
+
+        this.hintEl.textContent = guided
+            ? 'Scroll, swipe up or press ↑ to tour the street — the tour stops at every district'
+            : 'Look around and walk into a glowing entrance to visit a district';
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    update(t, dt) {
+        if (this.isComplete) return;
+
+        this.followCameraMode();
+        this.walker.update(dt);
+        if (this.walker.speed > 0.5) this.hideHint();
+        this.updateEnterPrompt();
+
+        // Unvisited portals pulse to draw the eye (steady with reduced motion)
+        const pulse = this.globalState.isReducedMotion() ? 0 : Math.sin(t * 3);
+        this.entrances.forEach(({ portalMat, light }) => {
+            portalMat.opacity = 0.16 + pulse * 0.06;
+            light.intensity   = 1.1 + pulse * 0.25;
+        });
+
+        this.checkEntrances();
+    }
+
+    isAlcoveAt(side, z, halfSpan = ALCOVE_HALF_SPAN + 0.6) {
+        return DISTRICTS.some(d => d.side === side && Math.abs(d.z - z) <= halfSpan);
+    }
+
+    updateEnterPrompt() {
+        const district = this.guided ? this.rail.currentStop?.district : null;
+
+        this.enterBtn.hidden = !district;
+        if (district) this.enterBtn.textContent = `Enter ${district.label} ⏎`;
+    }
+
+    checkEntrances() {
+        const { x, z } = this.walker.position;
+        const point    = new THREE.Vector2(x, z);
+        const hit   = this.entrances.find(e => e.zone.containsPoint(point)) ?? null;
+
+        // Only on stepping in, so a failed switch isn't retried every frame
+        if (hit && hit !== this.currentEntrance) this.enterDistrict(hit.district);
+        this.currentEntrance = hit;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       HAND-OFF
+    ══════════════════════════════════════════════════════════════════════ */
+
+    enterDistrict(district) {
+        if (this.isComplete) return;
+        this.isComplete      = true;
+        this.enterBtn.hidden = true;
+        window.dispatchEvent(new CustomEvent('scene-request', {
+            detail: { scene: district.scene, transition: 'flyThrough' }
+        }));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        const sides = DISTRICTS.filter(d => d.side !== 0).map(d => d.label).join(', ');
+        const end   = DISTRICTS.find(d => d.side === 0);
+        return `A lit street with entrances to the ${sides}, and the ${end.label} at the far end.`;
+    }
+
+    getHotspots() {
+        return DISTRICTS.map(district => ({
+            label:       `Enter ${district.label}`,
+            description: this.globalState.hasVisited(district.slug) ? 'visited' : district.tagline,
+            action:      () => this.enterDistrict(district)
+        }));
+    }
+}
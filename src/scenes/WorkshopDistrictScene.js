@@ -0,0 +1,592 @@
+/**
+ * WorkshopDistrictScene.js
+ * Stage 4 — Workshop District
+ *
+ * A workshop room with benches arranged in an arc around the visitor. Each
+ * bench carries a procedurally built project (robot arm, rover, sensor rig,
+ * drone) slowly turning on a turntable.
+ *
+ * Interaction:
+ *  - Drag / swipe looks around the room.
+ *  - Click / tap a project → camera moves up to that bench, an info panel
+ *    opens and drag / swipe now rotates the project instead of the camera.
+ *  - Closing the panel (× or Esc) steps back to the middle of the room.
+ *  - "Main Street" button returns to the hub.
+ */
+
+import * as THREE from 'three';
+import BaseScene from './BaseScene.js';
+import { createTextTexture } from '../utils/CanvasText.js';
+import { createServoWhirr } from '../utils/SynthSounds.js';
+
+// ─── Layout (world units ≈ metres) ───────────────────────────────────────────
+const EYE_HEIGHT     = 1.6;
+const BENCH_RADIUS   = 4.5;   // distance from room centre to each bench
+const FOCUS_DISTANCE = 2.3;   // how close the camera gets to a focused bench
+const FOCUS_PITCH    = -0.22; // look slightly down at the bench top
+const CAMERA_EASE    = 3;     // per-second factor for camera glide
+const IDLE_SPIN      = 0.25;  // turntable rad/s while not focused
+
+/**
+ * Bench contents. `heading` is the look direction (radians, 0 = straight
+ * ahead) from the centre of the room; `sound` an optional looping sound
+ * the project makes (heard from the bench, see SoundEmitter).
+ */
+const BENCHES = [
+    {
+        id: 'arm', heading: 0.95, color: '#ffaa33', build: 'buildRobotArm', sound: createServoWhirr,
+        title: '6-Axis Robot Arm', subtitle: 'Mechanics · Kinematics',
+        description: 'A desktop manipulator driven by servo motors. Members design the links, wire the servos and write the inverse-kinematics code that lets it pick and place objects.',
+        skills: ['CAD & 3D printing', 'Servo control', 'Inverse kinematics']
+    },
+    {
+        id: 'rover', heading: 0.32, color: '#33ddff', build: 'buildRover',
+        title: 'All-Terrain Rover', subtitle: 'Drive systems · Autonomy',
+        description: 'A six-wheeled rocker-bogie rover with a camera mast. Used for our obstacle and exploration challenges, driven manually or by its onboard navigation stack.',
+        skills: ['Motor drivers', 'Chassis design', 'Path planning']
+    },
+    {
+        id: 'sensors', heading: -0.32, color: '#66ff99', build: 'buildSensorRig',
+        title: 'Sensor Rig', subtitle: 'Electronics · Perception',
+        description: 'A test stand combining a spinning LiDAR, ultrasonic range finders and a camera module on a custom PCB. It is where members learn how robots see the world.',
+        skills: ['PCB design', 'Sensor fusion', 'Microcontrollers']
+    },
+    {
+        id: 'drone', heading: -0.95, color: '#cc77ff', build: 'buildDrone',
+        title: 'Quadcopter Drone', subtitle: 'Aerodynamics · Control',
+        description: 'A lightweight quadcopter frame with brushless motors. Members tune its PID flight controller and program autonomous hover and waypoint missions.',
+        skills: ['PID tuning', 'Flight controllers', 'Battery systems']
+    }
+];
+
+export default class WorkshopDistrictScene extends BaseScene {
+
+    // The visitor stays in the middle of the room; only looking around
+    static permissions = { move: false };
+
+    constructor(camera, audioManager, globalState, controls) {
+        super(camera, audioManager, globalState, controls);
+
+        this.scene.background = new THREE.Color('#0a0d16');
+
+        this.benches      = [];    // { data, group, turntable, animate, sound }
+        this.focused      = null;  // bench currently inspected
+        this.cameraTarget = new THREE.Vector3(0, EYE_HEIGHT, 0);
+        this.raycaster    = new THREE.Raycaster();
+
+        // Build scene
+        this.createEnvironment();
+        this.createLights();
+        this.createBenches();
+        this.createInfoPanel();
+        this.addBackButton();
+        this.addHint('Click or tap a project on a workbench to inspect it');
+    }
+
+    enter() {
+        this.listen(window, 'canvas-tap', (e) => this.handleTap(e.detail));
+        this.listen(window, 'keydown', (e) => { if (e.key === 'Escape') this.unfocus(); });
+
+        this.controls.resetRotation();
+        this.camera.setPosition(0, EYE_HEIGHT, 0);
+
+        this.benches.forEach(bench => bench.sound?.play(1));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       SCENE CONSTRUCTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createEnvironment() {
+        this.scene.fog = new THREE.Fog('#0a0d16', 10, 24);
+
+        // Floor with a subtle grid
+        const floor = new THREE.Mesh(
+            new THREE.CircleGeometry(9, 64),
+            new THREE.MeshStandardMaterial({ color: '#141a26', roughness: 0.85, metalness: 0.1 })
+        );
+        floor.rotation.x = -Math.PI / 2;
+        floor.receiveShadow = true;
+        this.scene.add(floor);
+
+        const grid = new THREE.GridHelper(18, 36, '#1f6f7f', '#1a2230');
+        grid.position.y = 0.005;
+        grid.material.transparent = true;
+        grid.material.opacity = 0.35;
+        this.scene.add(grid);
+
+        // Curved wall behind the benches
+        const wall = new THREE.Mesh(
+            new THREE.CylinderGeometry(8, 8, 5, 48, 1, true, Math.PI * 0.55, Math.PI * 0.9),
+            new THREE.MeshStandardMaterial({ color: '#1a2132', roughness: 0.9, side: THREE.BackSide })
+        );
+        wall.position.y = 2.5;
+        this.scene.add(wall);
+
+        // Workshop banner
+        const banner = new THREE.Mesh(
+            new THREE.PlaneGeometry(5, 0.9),
+            new THREE.MeshBasicMaterial({
+                map: createTextTexture(['WORKSHOP DISTRICT', 'What our members build'], {
+                    width: 1024, height: 184, fontSize: 70, glow: 'rgba(0,255,255,0.7)'
+                }),
+                transparent: true
+            })
+        );
+        banner.position.set(0, 3.9, -7.6);
+        this.scene.add(banner);
+
+        // Hanging work lamps over each bench
+        const shadeMat = new THREE.MeshStandardMaterial({ color: '#2b3348', metalness: 0.8, roughness: 0.35 });
+        BENCHES.forEach(b => {
+            const pos   = this.benchPosition(b.heading, BENCH_RADIUS);
+            const shade = new THREE.Mesh(new THREE.ConeGeometry(0.35, 0.3, 24, 1, true), shadeMat);
+            shade.position.set(pos.x, 3.2, pos.z);
+            this.scene.add(shade);
+
+            const cord = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 1.8, 4), shadeMat);
+            cord.position.set(pos.x, 4.25, pos.z);
+            this.scene.add(cord);
+        });
+    }
+
+    createLights() {
+        this.scene.add(new THREE.AmbientLight('#9fb4ff', 0.3));
+        this.scene.add(new THREE.HemisphereLight('#6f8fcf', '#0a0d16', 0.35));
+
+        BENCHES.forEach(b => {
+            const pos  = this.benchPosition(b.heading, BENCH_RADIUS);
+            const spot = new THREE.SpotLight('#fff1dc', 14, 6, Math.PI / 6, 0.5, 1.5);
+            spot.position.set(pos.x, 3.1, pos.z);
+            spot.target.position.set(pos.x, 0.9, pos.z);
+            spot.castShadow = true;
+            spot.shadow.mapSize.set(512, 512);
+            this.scene.add(spot, spot.target);
+        });
+    }
+
+    createBenches() {
+        const topMat = new THREE.MeshStandardMaterial({ color: '#3a2f25', roughness: 0.7 });
+        const legMat = new THREE.MeshStandardMaterial({ color: '#2b3348', metalness: 0.8, roughness: 0.4 });
+
+        BENCHES.forEach((data, index) => {
+            const group = new THREE.Group();
+            const pos   = this.benchPosition(data.heading, BENCH_RADIUS);
+            group.position.copy(pos);
+            group.rotation.y = data.heading; // face the room centre
+
+            // Table
+            const top = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.08, 1.1), topMat);
+            top.position.y = 0.9;
+            top.castShadow    = true;
+            top.receiveShadow = true;
+            group.add(top);
+
+            [[-1, -1], [-1, 1], [1, -1], [1, 1]].forEach(([sx, sz]) => {
+                const leg = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.86, 0.07), legMat);
+                leg.position.set(sx * 1.0, 0.43, sz * 0.48);
+                group.add(leg);
+            });
+
+            // Accent edge in the bench colour
+            const edge = new THREE.Mesh(
+                new THREE.BoxGeometry(2.2, 0.03, 0.02),
+                new THREE.MeshStandardMaterial({ color: data.color, emissive: data.color, emissiveIntensity: 0.8 })
+            );
+            edge.position.set(0, 0.9, 0.56);
+            group.add(edge);
+
+            // Turntable + project model
+            const turntable = new THREE.Group();
+            turntable.position.y = 0.94;
+            group.add(turntable);
+
+            const plate = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.45, 0.48, 0.04, 40),
+                new THREE.MeshStandardMaterial({ color: '#1c2230', metalness: 0.9, roughness: 0.25 })
+            );
+            plate.receiveShadow = true;
+            turntable.add(plate);
+
+            const { model, animate } = this[data.build](data.color);
+            model.position.y = 0.02;
+            model.traverse(obj => { if (obj.isMesh) obj.castShadow = true; });
+            turntable.add(model);
+
+            // Audible from the middle of the room, louder up close
+            const sound = data.sound
+                ? this.addSound(turntable, { source: data.sound, volume: 0.5, refDistance: 1, maxDistance: 9 })
+                : null;
+
+            // Everything on the bench is clickable
+            group.userData.benchIndex = index;
+
+            this.scene.add(group);
+            this.benches.push({ data, group, turntable, animate, sound });
+        });
+    }
+
+    /* ── Procedural projects — each returns { model, animate(t) } ──────── */
+
+    buildRobotArm(color) {
+        const metal  = new THREE.MeshStandardMaterial({ color: '#c9d2e0', metalness: 0.85, roughness: 0.3 });
+        const accent = new THREE.MeshStandardMaterial({ color, metalness: 0.5, roughness: 0.4 });
+        const joint  = new THREE.MeshStandardMaterial({ color: '#222833', metalness: 0.6, roughness: 0.5 });
+
+        const model = new THREE.Group();
+
+        const base = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.25, 0.12, 32), joint);
+        base.position.y = 0.06;
+        model.add(base);
+
+        // Each segment pivots at its parent's tip
+        const waist = new THREE.Group();
+        waist.position.y = 0.12;
+        model.add(waist);
+
+        const shoulder = new THREE.Group();
+        shoulder.position.y = 0.1;
+        waist.add(shoulder);
+        shoulder.add(new THREE.Mesh(new THREE.SphereGeometry(0.09, 20, 20), joint));
+
+        const upper = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.45, 0.1), accent);
+        upper.position.y = 0.225;
+        shoulder.add(upper);
+
+        const elbow = new THREE.Group();
+        elbow.position.y = 0.45;
+        shoulder.add(elbow);
+        elbow.add(new THREE.Mesh(new THREE.SphereGeometry(0.075, 20, 20), joint));
+
+        const fore = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.38, 0.08), metal);
+        fore.position.y = 0.19;
+        elbow.add(fore);
+
+        const wrist = new THREE.Group();
+        wrist.position.y = 0.38;
+        elbow.add(wrist);
+        wrist.add(new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.06, 16), joint));
+
+        const fingers = [-1, 1].map(side => {
+            const finger = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.1, 0.04), metal);
+            finger.position.set(side * 0.04, 0.08, 0);
+            wrist.add(finger);
+            return finger;
+        });
+
+        shoulder.rotation.z = 0.35;
+        elbow.rotation.z    = 0.9;
+
+        const animate = (t) => {
+            waist.rotation.y    = Math.sin(t * 0.6) * 0.8;
+            shoulder.rotation.z = 0.35 + Math.sin(t * 0.9) * 0.2;
+            elbow.rotation.z    = 0.9 + Math.sin(t * 1.1 + 1) * 0.3;
+            wrist.rotation.y    = t * 1.2;
+            const grip = 0.04 + (Math.sin(t * 2) + 1) * 0.012;
+            fingers.forEach((f, i) => { f.position.x = (i === 0 ? -1 : 1) * grip; });
+        };
+
+        return { model, animate };
+    }
+
+    buildRover(color) {
+        const body   = new THREE.MeshStandardMaterial({ color, metalness: 0.4, roughness: 0.5 });
+        const dark   = new THREE.MeshStandardMaterial({ color: '#1b1f27', roughness: 0.9 });
+        const metal  = new THREE.MeshStandardMaterial({ color: '#c9d2e0', metalness: 0.85, roughness: 0.3 });
+        const panel  = new THREE.MeshStandardMaterial({ color: '#1a3a7a', metalness: 0.7, roughness: 0.2, emissive: '#0a1a40', emissiveIntensity: 0.5 });
+
+        const model = new THREE.Group();
+
+        const chassis = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.12, 0.38), body);
+        chassis.position.y = 0.2;
+        model.add(chassis);
+
+        const solar = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.015, 0.34), panel);
+        solar.position.y = 0.27;
+        model.add(solar);
+
+        // Six wheels on rocker arms
+        const wheelGeo = new THREE.CylinderGeometry(0.075, 0.075, 0.06, 20);
+        wheelGeo.rotateX(Math.PI / 2);
+        const wheels = [];
+        [-0.24, 0, 0.24].forEach(x => {
+            [-1, 1].forEach(side => {
+                const wheel = new THREE.Mesh(wheelGeo, dark);
+                wheel.position.set(x, 0.075, side * 0.24);
+                model.add(wheel);
+                wheels.push(wheel);
+
+                const strut = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.1, 0.02), metal);
+                strut.position.set(x, 0.14, side * 0.21);
+                model.add(strut);
+            });
+        });
+
+        // Camera mast
+        const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.28, 8), metal);
+        mast.position.set(0.2, 0.4, 0);
+        model.add(mast);
+
+        const head = new THREE.Group();
+        head.position.set(0.2, 0.56, 0);
+        model.add(head);
+        head.add(new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.06, 0.14), body));
+
+        const lens = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.02, 0.02, 0.02, 16),
+            new THREE.MeshStandardMaterial({ color: '#00ffff', emissive: '#00ffff', emissiveIntensity: 1 })
+        );
+        lens.rotation.z = Math.PI / 2;
+        lens.position.x = 0.055;
+        head.add(lens);
+
+        const animate = (t) => {
+            wheels.forEach(w => { w.rotation.z = -t * 2; });
+            head.rotation.y = Math.sin(t * 0.7) * 0.9;
+        };
+
+        return { model, animate };
+    }
+
+    buildSensorRig(color) {
+        const pcb    = new THREE.MeshStandardMaterial({ color: '#0f5a2c', roughness: 0.6 });
+        const chip   = new THREE.MeshStandardMaterial({ color: '#111111', roughness: 0.4 });
+        const metal  = new THREE.MeshStandardMaterial({ color: '#c9d2e0', metalness: 0.85, roughness: 0.3 });
+        const accent = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.4 });
+
+        const model = new THREE.Group();
+
+        // Tripod legs + platform
+        for (let i = 0; i < 3; i++) {
+            const a   = (i / 3) * Math.PI * 2;
+            const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 0.32, 6), metal);
+            leg.position.set(Math.cos(a) * 0.1, 0.15, Math.sin(a) * 0.1);
+            leg.rotation.set(Math.sin(a) * 0.35, 0, -Math.cos(a) * 0.35);
+            model.add(leg);
+        }
+
+        const board = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.02, 0.3), pcb);
+        board.position.y = 0.31;
+        model.add(board);
+
+        // Chips on the board
+        [[-0.1, 0.05], [0.08, -0.07], [0.12, 0.08]].forEach(([x, z]) => {
+            const c = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.015, 0.06), chip);
+            c.position.set(x, 0.33, z);
+            model.add(c);
+        });
+
+        // Ultrasonic "eyes"
+        [-0.05, 0.05].forEach(z => {
+            const eye = new THREE.Mesh(new THREE.CylinderGeometry(0.028, 0.028, 0.04, 20), metal);
+            eye.rotation.z = Math.PI / 2;
+            eye.position.set(0.22, 0.34, z);
+            model.add(eye);
+        });
+
+        // Spinning LiDAR on top
+        const lidarBase = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.07, 0.05, 24), chip);
+        lidarBase.position.y = 0.345;
+        model.add(lidarBase);
+
+        const lidar = new THREE.Group();
+        lidar.position.y = 0.39;
+        model.add(lidar);
+        lidar.add(new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.05, 24), accent));
+
+        const beam = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.6, 0.004),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+        );
+        beam.position.x = 0.33;
+        lidar.add(beam);
+
+        const animate = (t) => {
+            lidar.rotation.y = t * 4;
+            accent.emissiveIntensity = this.globalState.isReducedMotion() ? 0.5 : 0.3 + (Math.sin(t * 6) + 1) * 0.2;
+        };
+
+        return { model, animate };
+    }
+
+    buildDrone(color) {
+        const body  = new THREE.MeshStandardMaterial({ color: '#222833', metalness: 0.5, roughness: 0.4 });
+        const arm   = new THREE.MeshStandardMaterial({ color, metalness: 0.4, roughness: 0.5 });
+        const prop  = new THREE.MeshStandardMaterial({ color: '#e6e9ef', transparent: true, opacity: 0.7 });
+
+        const model = new THREE.Group();
+        const frame = new THREE.Group();
+        model.add(frame);
+
+        const core = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.06, 0.16), body);
+        frame.add(core);
+
+        const rotors = [];
+        [Math.PI / 4, 3 * Math.PI / 4, 5 * Math.PI / 4, 7 * Math.PI / 4].forEach(a => {
+            const x = Math.cos(a) * 0.22;
+            const z = Math.sin(a) * 0.22;
+
+            const strut = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.02, 0.03), arm);
+            strut.position.set(x / 2, 0, z / 2);
+            strut.rotation.y = -a;
+            frame.add(strut);
+
+            const motor = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.04, 16), body);
+            motor.position.set(x, 0.02, z);
+            frame.add(motor);
+
+            const rotor = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.004, 0.02), prop);
+            rotor.position.set(x, 0.045, z);
+            frame.add(rotor);
+            rotors.push(rotor);
+        });
+
+        const animate = (t) => {
+            frame.position.y = 0.25 + Math.sin(t * 1.5) * 0.04;
+            frame.rotation.z = Math.sin(t * 1.1) * 0.06;
+            rotors.forEach((r, i) => { r.rotation.y = t * (i % 2 ? -25 : 25); });
+        };
+
+        return { model, animate };
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UI
+    ══════════════════════════════════════════════════════════════════════ */
+
+    createInfoPanel() {
+        const panel = document.createElement('aside');
+        panel.id        = 'workshop-info';
+        panel.className = 'glass-panel hidden';
+        panel.innerHTML = `
+            <button class="panel-close" aria-label="Close">×</button>
+            <h2></h2>
+            <div class="panel-subtitle"></div>
+            <p class="workshop-description"></p>
+            <ul class="workshop-skills"></ul>
+            <div style="color: rgba(255,255,255,0.45); font-size: 12px;">Drag to rotate the model</div>
+        `;
+        panel.querySelector('.panel-close').addEventListener('click', () => this.unfocus());
+
+        this.panelEl = this.addDom(panel);
+    }
+
+    fillInfoPanel(data) {
+        this.panelEl.querySelector('h2').textContent                      = data.title;
+        this.panelEl.querySelector('.panel-subtitle').textContent         = data.subtitle;
+        this.panelEl.querySelector('.workshop-description').textContent   = data.description;
+
+        const list = this.panelEl.querySelector('.workshop-skills');
+        list.innerHTML = '';
+        data.skills.forEach(skill => {
+            const li = document.createElement('li');
+            li.textContent = skill;
+            list.appendChild(li);
+        });
+
+        this.panelEl.querySelector('h2').style.color = data.color;
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       INTERACTION
+    ══════════════════════════════════════════════════════════════════════ */
+
+    handleTap({ x, y }) {
+        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera.instance);
+        const hits = this.raycaster.intersectObjects(this.benches.map(b => b.group), true);
+        if (!hits.length) return;
+
+        // Walk up to the bench group that owns the hit mesh
+        let obj = hits[0].object;
+        while (obj && obj.userData.benchIndex === undefined) obj = obj.parent;
+        if (obj) this.focus(this.benches[obj.userData.benchIndex]);
+    }
+
+    focus(bench) {
+        if (this.focused === bench) return;
+        this.focused = bench;
+
+        const { heading } = bench.data;
+        this.cameraTarget.copy(this.benchPosition(heading, BENCH_RADIUS - FOCUS_DISTANCE));
+        this.cameraTarget.y = EYE_HEIGHT - 0.15;
+
+        this.controls.rotation.targetHorizontal = heading;
+        this.controls.rotation.targetVertical   = FOCUS_PITCH;
+        this.controls.setLookEnabled(false);
+
+        this.fillInfoPanel(bench.data);
+        this.panelEl.classList.remove('hidden');
+        this.hideHint();
+
+        this.audioManager.createTone('workshop-select', 660, 0.15, 'ui');
+        this.audioManager.playTone('workshop-select');
+    }
+
+    unfocus() {
+        if (!this.focused) return;
+        this.focused = null;
+
+        this.cameraTarget.set(0, EYE_HEIGHT, 0);
+        this.controls.rotation.targetVertical = 0;
+        this.controls.setLookEnabled(true);
+
+        this.panelEl.classList.add('hidden');
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       UPDATE  — called every frame by App.js
+    ══════════════════════════════════════════════════════════════════════ */
+
+    update(t, dt) {
+        // Camera glides toward its target (room centre or focused bench);
+        // with reduced motion it cuts straight there
+        const cam  = this.camera.instance.position;
+        const ease = this.globalState.isReducedMotion() ? 1 : Math.min(dt * CAMERA_EASE, 1);
+        cam.lerp(this.cameraTarget, ease);
+
+        // Drag rotates the focused project
+        const drag = this.controls.consumeDrag();
+
+        this.benches.forEach(bench => {
+            bench.animate(t);
+
+            if (bench === this.focused) {
+                bench.turntable.rotation.y += drag.x;
+                bench.turntable.rotation.x  = THREE.MathUtils.clamp(
+                    bench.turntable.rotation.x + drag.y * 0.5, -0.5, 0.5
+                );
+            } else {
+                bench.turntable.rotation.y += IDLE_SPIN * dt;
+                bench.turntable.rotation.x *= 1 - Math.min(dt * 3, 1);
+            }
+        });
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       HELPERS
+    ══════════════════════════════════════════════════════════════════════ */
+
+    /** Point on the floor `radius` away from the room centre along `heading`. */
+    benchPosition(heading, radius) {
+        return new THREE.Vector3(-Math.sin(heading) * radius, 0, -Math.cos(heading) * radius);
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════
+       ACCESSIBILITY  — read by AccessibilityLayer
+    ══════════════════════════════════════════════════════════════════════ */
+
+    getDescription() {
+        return `A workshop with ${BENCHES.length} project benches: ${BENCHES.map(b => b.title).join(', ')}.`;
+    }
+
+    getHotspots() {
+        return this.benches.map(bench => ({
+            label:       `Inspect the ${bench.data.title}`,
+            description: bench.data.subtitle,
+            action:      () => {
+                this.focus(bench);
+                this.panelEl.querySelector('.panel-close').focus();
+            }
+        }));
+    }
+}
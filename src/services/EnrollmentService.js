@@ -0,0 +1,205 @@
+/**
+ * EnrollmentService.js
+ * Sends completed applications through a submission adapter, with an
+ * offline queue so nothing is lost on flaky Wi-Fi.
+ *
+ * Every submission goes into a localStorage queue first, then the queue
+ * is flushed. Failures that may succeed later (offline, timeout, 5xx)
+ * are retried with exponential backoff, and immediately when the
+ * browser comes back online. Entries still in the queue when the page
+ * is closed are picked up again on the next visit. An entry rejected for
+ * good is dropped once reported — the visitor's details don't linger in
+ * storage, and "Try again" queues them afresh from GlobalState.
+ *
+ * Status per application (keyed by reference code):
+ *   'pending' → queued or being retried
+ *   'sent'    → accepted by the endpoint
+ *   'failed'  → rejected, or retries exhausted
+ *
+ * Changes are broadcast as a window 'enrollment-status' event
+ * (detail: { reference, status, error }) and mirrored into
+ * GlobalState.userData.submissionStatus for the visitor's own application.
+ */
+
+const QUEUE_KEY       = 'unimate_submission_queue';  // localStorage
+const MAX_ATTEMPTS    = 8;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS  = 10 * 60 * 1000;
+
+export default class EnrollmentService {
+
+    constructor(globalState, adapter) {
+        this.globalState = globalState;
+        this.adapter     = adapter;
+        this.queue       = this.loadQueue();
+        this.flushing    = false;
+        this.retryTimer  = null;
+
+        // Give retryable failures from a previous visit another round;
+        // drop the ones rejected for good
+        this.queue = this.queue.filter(entry => entry.status !== 'failed' || entry.retryable);
+        this.queue.forEach(entry => {
+            if (entry.status === 'failed') {
+                entry.status        = 'pending';
+                entry.attempts      = 0;
+                entry.nextAttemptAt = 0;
+                this.setStatus(entry.reference, 'pending');
+            }
+        });
+        this.saveQueue();
+
+        window.addEventListener('online', () => this.retryNow());
+        this.flush();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Queue the visitor's current application (GlobalState.userData) and
+     * try to send it. Submitting the same reference again replaces the
+     * queued copy and restarts its retries; `submittedAt` is stamped each
+     * time, so the payload and the receipt date the latest version.
+     */
+    submit() {
+        const reference = this.globalState.getEnrollmentReference();
+        this.globalState.saveUserData({ submittedAt: new Date().toISOString() });
+
+        const data    = this.globalState.userData;
+        const payload = {
+            reference,
+            submittedAt: data.submittedAt,
+            name:        data.name,
+            age:         data.age,
+            contact:     data.contact,
+            interest:    data.interest
+        };
+
+        this.queue = this.queue.filter(entry => entry.reference !== reference);
+        this.queue.push({ reference, payload, status: 'pending', attempts: 0, nextAttemptAt: 0, retryable: true });
+        this.saveQueue();
+
+        this.setStatus(reference, 'pending');
+        this.flush();
+    }
+
+    /**
+     * Drop every queued application and stop retrying — for "forget me".
+     * Nothing is written back; GlobalState removes the stored queue.
+     */
+    clear() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.queue      = [];
+    }
+
+    /** Skip the backoff wait for every pending entry. */
+    retryNow() {
+        this.queue.forEach(entry => {
+            if (entry.status === 'pending') entry.nextAttemptAt = 0;
+        });
+        this.flush();
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    /**
+     * Send every pending entry whose backoff has elapsed, one at a time.
+     */
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        try {
+            while (navigator.onLine) {
+                const now   = Date.now();
+                const entry = this.queue.find(e => e.status === 'pending' && e.nextAttemptAt <= now);
+                if (!entry) break;
+
+                await this.attempt(entry);
+            }
+        } finally {
+            this.flushing = false;
+            this.scheduleRetry();
+        }
+    }
+
+    async attempt(entry) {
+        try {
+            await this.adapter.send(entry.payload);
+        } catch (err) {
+            entry.retryable = err.retryable !== false;
+            entry.lastError = err.message;
+
+            // Connection dropped mid-request — wait for 'online' without
+            // using up an attempt
+            if (entry.retryable && !navigator.onLine) {
+                this.saveQueue();
+                return;
+            }
+
+            entry.attempts++;
+
+            if (!entry.retryable || entry.attempts >= MAX_ATTEMPTS) {
+                entry.status = 'failed';
+                console.warn(`Enrollment ${entry.reference} failed:`, err.message);
+            } else {
+                entry.nextAttemptAt = Date.now() + this.backoff(entry.attempts);
+            }
+
+            // Nothing more to try for a rejected entry
+            if (!entry.retryable) this.queue = this.queue.filter(e => e !== entry);
+
+            this.saveQueue();
+            this.setStatus(entry.reference, entry.status, entry.lastError);
+            return;
+        }
+
+        this.queue = this.queue.filter(e => e !== entry);
+        this.saveQueue();
+        this.setStatus(entry.reference, 'sent');
+    }
+
+    /** 5s, 10s, 20s … capped at 10 min, with ±20% jitter. */
+    backoff(attempts) {
+        const delay  = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+        return Math.round(delay + jitter);
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        // While offline, the 'online' listener takes over
+        if (!navigator.onLine) return;
+
+        const next = this.queue
+            .filter(e => e.status === 'pending')
+            .reduce((min, e) => Math.min(min, e.nextAttemptAt), Infinity);
+        if (next === Infinity) return;
+
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    }
+
+    /* ══════════════════════════════════════════════════════════════════════ */
+
+    setStatus(reference, status, error = null) {
+        if (this.globalState.userData.reference === reference) {
+            this.globalState.saveUserData({ submissionStatus: status });
+        }
+        window.dispatchEvent(new CustomEvent('enrollment-status', { detail: { reference, status, error } }));
+    }
+
+    loadQueue() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (_) { return []; }
+    }
+
+    saveQueue() {
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(this.queue));
+        } catch (_) {}
+    }
+}
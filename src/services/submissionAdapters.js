@@ -0,0 +1,160 @@
+/**
+ * submissionAdapters.js
+ * Endpoint adapters for EnrollmentService and the Contact panel. Each
+ * adapter exposes `send(payload)` which resolves once the payload has been
+ * accepted and rejects with a SubmissionError otherwise.
+ *
+ *  - JsonPostAdapter  → POST application/json to our own endpoint
+ *  - FormRelayAdapter → POST form fields to a form-to-email relay
+ *                       (Formspree, FormSubmit, Getform …)
+ *  - MockAdapter      → no network; resolves after a delay so the flow
+ *                       can be tested locally, optionally failing at random
+ *  - UnconfiguredAdapter → stands in for a missing or invalid config; every
+ *                       send fails for good, so nothing is reported as
+ *                       sent that never left the browser
+ */
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// The mock only runs here; anywhere else it would swallow real submissions
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', ''];   // '' → file://
+
+/**
+ * `retryable` tells the service whether trying again later can help
+ * (offline, timeout, 5xx, 429) or the request itself was rejected (4xx).
+ */
+export class SubmissionError extends Error {
+    constructor(message, { retryable = true, status = null } = {}) {
+        super(message);
+        this.name      = 'SubmissionError';
+        this.retryable = retryable;
+        this.status    = status;
+    }
+}
+
+/**
+ * fetch() with a timeout, normalising network failures and HTTP errors
+ * into SubmissionErrors.
+ */
+async function postWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timer      = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(url, { ...options, method: 'POST', signal: controller.signal });
+    } catch (err) {
+        const reason = err.name === 'AbortError' ? 'Request timed out' : 'Network unavailable';
+        throw new SubmissionError(reason, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new SubmissionError(`Server responded ${response.status}`, { retryable, status: response.status });
+    }
+    return response;
+}
+
+/* ══════════════════════════════════════════════════════════════════════════ */
+
+export class JsonPostAdapter {
+    constructor({ endpoint, headers = {} }) {
+        this.name     = 'json';
+        this.endpoint = endpoint;
+        this.headers  = headers;
+    }
+
+    async send(payload) {
+        await postWithTimeout(this.endpoint, {
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this.headers },
+            body:    JSON.stringify(payload)
+        });
+    }
+}
+
+/**
+ * Relays expect plain form fields; `_subject` / `_replyto` are the
+ * conventional names most of them use for the notification email.
+ */
+export class FormRelayAdapter {
+    constructor({ endpoint, subject = 'New Unimate enrollment' }) {
+        this.name     = 'relay';
+        this.endpoint = endpoint;
+        this.subject  = subject;
+    }
+
+    async send(payload) {
+        const body = new FormData();
+        Object.entries(payload).forEach(([key, value]) => body.append(key, value ?? ''));
+        body.append('_subject', payload.reference ? `${this.subject} — ${payload.reference}` : this.subject);
+        if (payload.contact?.includes('@')) body.append('_replyto', payload.contact);
+
+        await postWithTimeout(this.endpoint, { headers: { Accept: 'application/json' }, body });
+    }
+}
+
+export class MockAdapter {
+    constructor({ latency = 800, failRate = 0 } = {}) {
+        this.name     = 'mock';
+        this.latency  = latency;
+        this.failRate = failRate;
+    }
+
+    send(payload) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (!navigator.onLine) {
+                    reject(new SubmissionError('Network unavailable', { retryable: true }));
+                } else if (Math.random() < this.failRate) {
+                    reject(new SubmissionError('Mock server error', { retryable: true, status: 503 }));
+                } else {
+                    console.log('Mock submission received');
+                    resolve();
+                }
+            }, this.latency);
+        });
+    }
+}
+
+export class UnconfiguredAdapter {
+    constructor(reason) {
+        this.name   = 'unconfigured';
+        this.reason = reason;
+    }
+
+    async send() {
+        throw new SubmissionError(this.reason, { retryable: false });
+    }
+}
+
+/* ══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Build the adapter named by a config object
+ * ({ adapter: 'json' | 'relay' | 'mock', ...adapter options }). A missing
+ * endpoint, an unknown adapter or the mock outside localhost gives an
+ * UnconfiguredAdapter.
+ */
+export function createSubmissionAdapter(config = {}) {
+    switch (config.adapter) {
+        case 'json':
+            if (config.endpoint) return new JsonPostAdapter(config);
+            break;
+        case 'relay':
+            if (config.endpoint) return new FormRelayAdapter(config);
+            break;
+        case 'mock':
+            if (LOCAL_HOSTS.includes(window.location.hostname)) return new MockAdapter(config);
+            return unconfigured('The mock adapter only runs on localhost');
+        default:
+            return unconfigured(`Unknown submission adapter: ${config.adapter}`);
+    }
+    return unconfigured(`No endpoint configured for the ${config.adapter} adapter`);
+}
+
+function unconfigured(reason) {
+    console.warn(`${reason} — nothing will be sent`);
+    return new UnconfiguredAdapter(reason);
+}
@@ -0,0 +1,30 @@
+/**
+ * submissionConfig.js
+ * Where completed enrollment applications (SUBMISSION_CONFIG) and
+ * Contact panel messages (CONTACT_CONFIG) are sent.
+ *
+ *   adapter: 'json'  → POST JSON to `endpoint`
+ *            'relay' → POST form fields to a form-to-email relay at `endpoint`
+ *            'mock'  → no network; accepts after `latency` ms. Local testing
+ *                      only: it runs on localhost and nowhere else
+ *
+ * Set the adapter and endpoint here before deploying. Until then (no
+ * endpoint, an unknown adapter, the mock on a real host) every send fails,
+ * so visitors are told instead of believing it arrived.
+ */
+
+export const SUBMISSION_CONFIG = {
+    adapter:  'json',
+    endpoint: '',
+    subject:  'New Unimate enrollment',   // relay only — email subject prefix
+    latency:  800,                        // mock only
+    failRate: 0                           // mock only — 0..1, simulate flaky server
+};
+
+export const CONTACT_CONFIG = {
+    adapter:  'json',
+    endpoint: '',
+    subject:  'New Unimate message',      // relay only — email subject
+    latency:  800,                        // mock only
+    failRate: 0                           // mock only
+};
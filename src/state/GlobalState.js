@@ -6,7 +6,17 @@
  * them to the right place.
  */
 
-const SESSION_KEY = 'unimate_last_scene'; // key used in sessionStorage
+import { QUALITY_TIERS } from '../data/qualityTiers.js';
+
+const SESSION_KEY         = 'unimate_last_scene';     // key used in sessionStorage
+const VISITED_SESSION_KEY = 'unimate_visited_scenes'; // JSON array of visited indices
+const BEST_TIMES_KEY      = 'unimate_best_times';     // localStorage — survives sessions
+const USER_DATA_KEY       = 'unimate_user_data';      // localStorage — enrollment answers
+const CAMERA_MODE_KEY     = 'unimate_camera_mode';    // localStorage — 'guided' | 'free'
+const MOTION_KEY          = 'unimate_motion';         // localStorage — 'system' | 'reduced' | 'full'
+const QUALITY_KEY         = 'unimate_quality';        // localStorage — 'auto' | tier name
+const QUALITY_TIER_KEY    = 'unimate_quality_tier';   // localStorage — last tier auto settled on
+const STORAGE_PREFIX      = 'unimate_';               // every key above starts with it
 
 export default class GlobalState {
     constructor() {
@@ -15,6 +25,14 @@ export default class GlobalState {
         this.loadingProgress = 0;
         this.isLoading     = true;
         this.canProgress   = false;
+        this.skipIntro     = false; // deep links go straight to their scene
+        this.cameraMode    = 'guided'; // 'guided' rides scene rails, 'free' walks
+        this.motionPreference = 'system'; // 'system' follows prefers-reduced-motion
+        this.qualityPreference = 'auto';  // 'auto' lets QualityManager pick the tier
+        this.qualityTier   = null;        // tier in use; null until QualityManager decides
+
+        // Live OS setting; matchMedia is missing in some embedded browsers
+        this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
 
         this.sceneNames = [
             'loading',
@@ -28,6 +46,12 @@ export default class GlobalState {
         ];
 
         this.userData = { name: '', age: '', contact: '', interest: '' };
+
+        this.restoreVisitedScenes();
+        this.restoreUserData();
+        this.restoreCameraMode();
+        this.restoreMotionPreference();
+        this.restoreQualityPreference();
     }
 
     /* ─────────────────────────────────────────────────────────────────── */
@@ -58,16 +82,47 @@ export default class GlobalState {
         } catch (_) {}
     }
 
+    /**
+     * Forget where the visitor was (and what they visited) this session,
+     * so the next load starts the journey again from the entry gate.
+     */
+    clearSavedScene() {
+        try {
+            sessionStorage.removeItem(SESSION_KEY);
+            sessionStorage.removeItem(VISITED_SESSION_KEY);
+        } catch (_) {}
+        this.visitedScenes = new Set([0]);
+    }
+
+    /**
+     * Visited stages survive a refresh so Main Street can keep its
+     * "visited" marks on the district entrances.
+     */
+    restoreVisitedScenes() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(VISITED_SESSION_KEY) || '[]');
+            saved.forEach(idx => {
+                if (idx >= 0 && idx < this.sceneNames.length) this.visitedScenes.add(idx);
+            });
+        } catch (_) {}
+    }
+
+    saveVisitedScenes() {
+        try {
+            sessionStorage.setItem(VISITED_SESSION_KEY, JSON.stringify([...this.visitedScenes]));
+        } catch (_) {}
+    }
+
     /* ─────────────────────────────────────────────────────────────────── */
 
     setScene(sceneIndex) {
         if (sceneIndex >= 0 && sceneIndex < this.sceneNames.length) {
             this.currentScene = sceneIndex;
             this.visitedScenes.add(sceneIndex);
-            this.updateProgressIndicator();
 
             // Persist (but don't save the loading scene itself)
             if (sceneIndex > 0) this.saveScene(sceneIndex);
+            this.saveVisitedScenes();
 
             console.log(`Scene changed to: ${this.sceneNames[sceneIndex]}`);
         }
@@ -85,13 +140,193 @@ export default class GlobalState {
     setCanProgress(v)          { this.canProgress = v; }
     setLoadingProgress(p)      { this.loadingProgress = Math.max(0, Math.min(1, p)); }
     setLoading(v)              { this.isLoading = v; }
+    setSkipIntro(v)            { this.skipIntro = v; }
     getCurrentSceneName()      { return this.sceneNames[this.currentScene]; }
-    saveUserData(data)         { this.userData = { ...this.userData, ...data }; }
+    hasVisited(name)           { return this.visitedScenes.has(this.sceneNames.indexOf(name)); }
+
+    /* ─────────────────────────────────────────────────────────────────── */
+
+    /**
+     * Merge enrollment answers into userData and persist them, so a
+     * returning visitor doesn't have to fill the form in again.
+     */
+    saveUserData(data) {
+        this.userData = { ...this.userData, ...data };
+        try {
+            localStorage.setItem(USER_DATA_KEY, JSON.stringify(this.userData));
+        } catch (_) {}
+    }
+
+    restoreUserData() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(USER_DATA_KEY) || 'null');
+            if (saved) this.userData = { ...this.userData, ...saved };
+        } catch (_) {}
+    }
+
+    /**
+     * Reference code for the visitor's application (e.g. UNI-M2K8-7QXA).
+     * Generated once and stored with userData so receipts stay consistent;
+     * EnrollmentService stamps `submittedAt` on every send.
+     */
+    getEnrollmentReference() {
+        if (!this.userData.reference) {
+            const stamp  = Date.now().toString(36).toUpperCase().slice(-4);
+            const random = Math.random().toString(36).toUpperCase().slice(2, 6).padEnd(4, '0');
+            this.saveUserData({ reference: `UNI-${stamp}-${random}` });
+        }
+        return this.userData.reference;
+    }
 
-    updateProgressIndicator() {
-        const dots = document.querySelectorAll('.progress-dot');
-        dots.forEach((dot, index) => {
-            dot.classList.toggle('active', index === this.currentScene);
+    /**
+     * "Forget me": remove everything the experience stored in this browser
+     * — progress, enrollment answers, best times, settings, and anything
+     * else under the unimate_ prefix (e.g. EnrollmentService's queue) —
+     * and drop the answers held in memory.
+     */
+    forgetEverything() {
+        [localStorage, sessionStorage].forEach(storage => {
+            try {
+                Object.keys(storage)
+                    .filter(key => key.startsWith(STORAGE_PREFIX))
+                    .forEach(key => storage.removeItem(key));
+            } catch (_) {}
         });
+        this.userData      = { name: '', age: '', contact: '', interest: '' };
+        this.visitedScenes = new Set([0, this.currentScene]);
+    }
+
+    /* ─────────────────────────────────────────────────────────────────── */
+
+    /**
+     * Guided (rail camera) or free walking. Remembered across visits;
+     * scenes with a rail check isGuided() each frame and follow changes.
+     */
+    setCameraMode(mode) {
+        if (mode !== 'guided' && mode !== 'free') return;
+        this.cameraMode = mode;
+        try {
+            localStorage.setItem(CAMERA_MODE_KEY, mode);
+        } catch (_) {}
+    }
+
+    restoreCameraMode() {
+        try {
+            const saved = localStorage.getItem(CAMERA_MODE_KEY);
+            if (saved === 'guided' || saved === 'free') this.cameraMode = saved;
+        } catch (_) {}
+    }
+
+    isGuided() {
+        return this.cameraMode === 'guided';
+    }
+
+    /* ─────────────────────────────────────────────────────────────────── */
+
+    /**
+     * Motion setting: 'system' follows the device's prefers-reduced-motion,
+     * 'reduced' / 'full' override it. Remembered across visits.
+     */
+    setMotionPreference(preference) {
+        if (!['system', 'reduced', 'full'].includes(preference)) return;
+        this.motionPreference = preference;
+        try {
+            localStorage.setItem(MOTION_KEY, preference);
+        } catch (_) {}
+    }
+
+    restoreMotionPreference() {
+        try {
+            const saved = localStorage.getItem(MOTION_KEY);
+            if (['system', 'reduced', 'full'].includes(saved)) this.motionPreference = saved;
+        } catch (_) {}
+    }
+
+    /**
+     * True when scenes should swap explosions, pulsing and camera sweeps
+     * for gentle fades. Cheap enough to call every frame.
+     */
+    isReducedMotion() {
+        if (this.motionPreference !== 'system') return this.motionPreference === 'reduced';
+        return this.reducedMotionQuery?.matches ?? false;
+    }
+
+    /* ─────────────────────────────────────────────────────────────────── */
+
+    /**
+     * Rendering quality: 'auto' (QualityManager measures and adapts) or a
+     * fixed tier name from qualityTiers.js. Remembered across visits.
+     */
+    setQualityPreference(preference) {
+        if (preference !== 'auto' && !QUALITY_TIERS[preference]) return;
+        this.qualityPreference = preference;
+        try {
+            localStorage.setItem(QUALITY_KEY, preference);
+        } catch (_) {}
+    }
+
+    restoreQualityPreference() {
+        try {
+            const saved = localStorage.getItem(QUALITY_KEY);
+            if (saved === 'auto' || QUALITY_TIERS[saved]) this.qualityPreference = saved;
+        } catch (_) {}
+    }
+
+    /**
+     * Set by QualityManager. Auto-chosen tiers are remembered so the next
+     * visit starts where this one settled instead of re-measuring from high.
+     */
+    setQualityTier(tier) {
+        if (!QUALITY_TIERS[tier]) return;
+        this.qualityTier = tier;
+        if (this.qualityPreference !== 'auto') return;
+        try {
+            localStorage.setItem(QUALITY_TIER_KEY, tier);
+        } catch (_) {}
+    }
+
+    /** Last tier auto settled on, or null on a first visit. */
+    getSavedQualityTier() {
+        try {
+            const saved = localStorage.getItem(QUALITY_TIER_KEY);
+            return QUALITY_TIERS[saved] ? saved : null;
+        } catch (_) { return null; }
+    }
+
+    /**
+     * Settings of the tier in use ({ pixelRatio, shadows, antialias,
+     * particles, postEffects }). Scenes read particle counts from it when
+     * they are built.
+     */
+    getQuality() {
+        return QUALITY_TIERS[this.qualityTier] ?? QUALITY_TIERS.high;
+    }
+
+    /* ─────────────────────────────────────────────────────────────────── */
+
+    /**
+     * Best completion time (seconds) for a mini-game challenge, or null.
+     * Kept in localStorage so records survive closing the tab.
+     */
+    getBestTime(challenge) {
+        try {
+            const times = JSON.parse(localStorage.getItem(BEST_TIMES_KEY) || '{}');
+            return typeof times[challenge] === 'number' ? times[challenge] : null;
+        } catch (_) { return null; }
+    }
+
+    /**
+     * Record a completion time. Returns true if it beat the previous best.
+     */
+    saveBestTime(challenge, seconds) {
+        const best = this.getBestTime(challenge);
+        if (best !== null && best <= seconds) return false;
+
+        try {
+            const times = JSON.parse(localStorage.getItem(BEST_TIMES_KEY) || '{}');
+            times[challenge] = seconds;
+            localStorage.setItem(BEST_TIMES_KEY, JSON.stringify(times));
+        } catch (_) {}
+        return true;
     }
 }
\ No newline at end of file
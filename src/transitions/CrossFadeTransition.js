@@ -0,0 +1,25 @@
+/**
+ * CrossFadeTransition.js
+ * Straight blend from the outgoing frame to the live incoming scene.
+ * The default transition.
+ */
+
+import { createBlendMaterial, easeInOutCubic } from './blendMaterial.js';
+
+export default class CrossFadeTransition {
+
+    constructor({ duration = 0.6 } = {}) {
+        this.duration = duration;   // seconds
+        this.material = createBlendMaterial(`
+            color = mix(from, to, uProgress);
+        `);
+    }
+
+    setProgress(t) {
+        this.material.uniforms.uProgress.value = easeInOutCubic(t);
+    }
+
+    dispose() {
+        this.material.dispose();
+    }
+}
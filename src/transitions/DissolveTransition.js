@@ -0,0 +1,59 @@
+/**
+ * DissolveTransition.js
+ * The outgoing frame breaks up in noisy patches, revealing the incoming
+ * scene behind a thin glowing edge in the club's cyan.
+ */
+
+import * as THREE from 'three';
+import { createBlendMaterial } from './blendMaterial.js';
+
+const NOISE_GLSL = /* glsl */`
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    // Value noise, smoothly interpolated between lattice points
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(hash(i),                  hash(i + vec2(1.0, 0.0)), u.x),
+            mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x),
+            u.y
+        );
+    }
+`;
+
+export default class DissolveTransition {
+
+    constructor({ duration = 0.9, scale = 9, edge = 0.06, edgeColor = '#00ffff' } = {}) {
+        this.duration = duration;   // seconds
+        this.material = createBlendMaterial(`
+            float n = noise(uv * uScale) * 0.7 + noise(uv * uScale * 3.0) * 0.3;
+
+            // Threshold sweeps past the full noise range, edge included
+            float threshold = uProgress * (1.0 + uEdge);
+            float reveal    = smoothstep(threshold - uEdge, threshold, n);
+            float glow      = reveal - step(threshold, n);   // only inside the edge band
+
+            color = mix(to, from, reveal);
+            color.rgb += uEdgeColor * glow * 2.0;
+        `, {
+            header:   NOISE_GLSL + 'uniform float uScale; uniform float uEdge; uniform vec3 uEdgeColor;',
+            uniforms: {
+                uScale:     { value: scale },
+                uEdge:      { value: edge },
+                uEdgeColor: { value: new THREE.Color(edgeColor) }
+            }
+        });
+    }
+
+    setProgress(t) {
+        this.material.uniforms.uProgress.value = t;
+    }
+
+    dispose() {
+        this.material.dispose();
+    }
+}
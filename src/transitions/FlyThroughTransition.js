@@ -0,0 +1,58 @@
+/**
+ * FlyThroughTransition.js
+ * The camera appears to fly through the outgoing frame into the new scene:
+ * the old frame zooms past and fades while the incoming scene is rendered
+ * from a point further back, gliding forward into the scene's own
+ * camera pose.
+ *
+ * The pull-back is applied only for the render (beforeRender/afterRender)
+ * so it never fights the scene's own camera movement.
+ */
+
+import * as THREE from 'three';
+import { createBlendMaterial, easeInOutCubic } from './blendMaterial.js';
+
+const _direction = new THREE.Vector3();
+
+export default class FlyThroughTransition {
+
+    constructor({ duration = 0.9, distance = 6, zoom = 2.5 } = {}) {
+        this.duration = duration;   // seconds
+        this.distance = distance;   // metres the incoming camera starts behind its pose
+        this.ease     = 0;
+
+        this.savedPosition = new THREE.Vector3();
+
+        this.material = createBlendMaterial(`
+            // Old frame rushes towards the viewer
+            vec2 zoomed = 0.5 + (uv - 0.5) / (1.0 + uProgress * uZoom);
+            from = texture2D(tFrom, zoomed);
+
+            color = mix(from, to, smoothstep(0.15, 0.85, uProgress));
+        `, {
+            header:   'uniform float uZoom;',
+            uniforms: { uZoom: { value: zoom } }
+        });
+    }
+
+    setProgress(t) {
+        this.ease = easeInOutCubic(t);
+        this.material.uniforms.uProgress.value = this.ease;
+    }
+
+    beforeRender(camera) {
+        this.savedPosition.copy(camera.position);
+        camera.getWorldDirection(_direction);
+        camera.position.addScaledVector(_direction, -this.distance * (1 - this.ease));
+        camera.updateMatrixWorld();
+    }
+
+    afterRender(camera) {
+        camera.position.copy(this.savedPosition);
+        camera.updateMatrixWorld();
+    }
+
+    dispose() {
+        this.material.dispose();
+    }
+}
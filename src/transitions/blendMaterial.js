@@ -0,0 +1,64 @@
+/**
+ * blendMaterial.js
+ * Full-screen shader material shared by the transition effects.
+ *
+ * Every effect blends two frames:
+ *   tFrom      → the outgoing scene, frozen when the transition started
+ *   tTo        → the incoming scene, rendered live each frame
+ *   uProgress  → 0 (all "from") … 1 (all "to")
+ *
+ * `blend` is GLSL that writes `vec4 color` from `from`, `to`, `uv` and
+ * `uProgress`. Both frames are linear (render targets skip tone mapping),
+ * so tone mapping and output colour space are applied here, once.
+ */
+
+import * as THREE from 'three';
+
+const VERTEX_SHADER = /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+export function createBlendMaterial(blend, { uniforms = {}, header = '' } = {}) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            tFrom:     { value: null },
+            tTo:       { value: null },
+            uProgress: { value: 0 },
+            ...uniforms
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: /* glsl */`
+            uniform sampler2D tFrom;
+            uniform sampler2D tTo;
+            uniform float uProgress;
+            varying vec2 vUv;
+
+            ${header}
+
+            void main() {
+                vec2 uv   = vUv;
+                vec4 from = texture2D(tFrom, uv);
+                vec4 to   = texture2D(tTo, uv);
+                vec4 color;
+
+                ${blend}
+
+                gl_FragColor = color;
+                #include <tonemapping_fragment>
+                #include <colorspace_fragment>
+            }
+        `,
+        depthTest:  false,
+        depthWrite: false
+    });
+}
+
+/** Cubic ease-in-out, shared by the effects' progress curves. */
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,102 @@
+/**
+ * CanvasText.js
+ * Draws text onto a 2D canvas and wraps it in a THREE.CanvasTexture.
+ * Used by scenes for signs, plaques and labels so we don't need a font loader.
+ */
+
+import * as THREE from 'three';
+
+const DEFAULT_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+/**
+ * Create a texture containing one or more centred lines of text.
+ *
+ * @param {string|string[]} lines      Text to draw (one entry per line)
+ * @param {object}          [options]
+ * @param {number}          [options.width=1024]        Canvas width in px
+ * @param {number}          [options.height=256]        Canvas height in px
+ * @param {number}          [options.fontSize=72]       Font size of the first line in px
+ * @param {number}          [options.subFontScale=0.55] Size of following lines relative to the first
+ * @param {string}          [options.color='#00ffff']
+ * @param {string}          [options.background=null]   Fill colour, or null for transparent
+ * @param {string}          [options.glow=null]         Shadow colour for a neon glow
+ * @returns {THREE.CanvasTexture}
+ */
+export function createTextTexture(lines, options = {}) {
+    const {
+        width        = 1024,
+        height       = 256,
+        fontSize     = 72,
+        subFontScale = 0.55,
+        color        = '#00ffff',
+        background   = null,
+        glow         = null
+    } = options;
+
+    const canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    drawTextLines(ctx, Array.isArray(lines) ? lines : [lines], {
+        width, height, fontSize, subFontScale, color, background, glow
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 4;
+    return texture;
+}
+
+/**
+ * Redraw an existing text texture in place (e.g. for live counters).
+ */
+export function updateTextTexture(texture, lines, options = {}) {
+    const canvas = texture.image;
+    const ctx    = canvas.getContext('2d');
+
+    drawTextLines(ctx, Array.isArray(lines) ? lines : [lines], {
+        width:        canvas.width,
+        height:       canvas.height,
+        fontSize:     options.fontSize     ?? 72,
+        subFontScale: options.subFontScale ?? 0.55,
+        color:        options.color        ?? '#00ffff',
+        background:   options.background   ?? null,
+        glow:         options.glow         ?? null
+    });
+
+    texture.needsUpdate = true;
+}
+
+/* ── Internal ─────────────────────────────────────────────────────────── */
+
+function drawTextLines(ctx, lines, { width, height, fontSize, subFontScale, color, background, glow }) {
+    ctx.clearRect(0, 0, width, height);
+
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const sizes  = lines.map((_, i) => (i === 0 ? fontSize : fontSize * subFontScale));
+    const gap    = fontSize * 0.3;
+    const total  = sizes.reduce((sum, s) => sum + s, 0) + gap * (lines.length - 1);
+    let   cursor = (height - total) / 2;
+
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle    = color;
+
+    if (glow) {
+        ctx.shadowColor = glow;
+        ctx.shadowBlur  = fontSize * 0.4;
+    }
+
+    lines.forEach((line, i) => {
+        ctx.font = `${i === 0 ? 700 : 500} ${sizes[i]}px ${DEFAULT_FONT}`;
+        ctx.fillText(line, width / 2, cursor, width * 0.92);
+        cursor += sizes[i] + gap;
+    });
+
+    ctx.shadowBlur = 0;
+}
@@ -0,0 +1,69 @@
+/**
+ * SynthSounds.js
+ * Generates seamless looping AudioBuffers in code, for scene sounds we
+ * don't have recordings of. Each generator takes the AudioContext and can
+ * be passed anywhere AudioManager accepts a sound source (load(), play(),
+ * SoundEmitter) — AudioManager calls it once and caches the buffer.
+ */
+
+const LOOP_BLEND = 0.25;   // s of the loop's end blended into its start, so the wrap doesn't click
+
+/**
+ * Render `duration` seconds of mono audio, one sample at a time.
+ * `sample(t)` is called with the time in seconds and returns -1…1.
+ */
+function renderLoop(context, duration, sample) {
+    const rate   = context.sampleRate;
+    const length = Math.round(rate * duration);
+    const blend  = Math.round(rate * LOOP_BLEND);
+    const buffer = context.createBuffer(1, length, rate);
+    const data   = buffer.getChannelData(0);
+
+    for (let i = 0; i < length; i++) data[i] = sample(i / rate);
+
+    // Carry on past the end and fade that tail in over the start
+    for (let i = 0; i < blend; i++) {
+        const mix = i / blend;
+        data[i] = data[i] * mix + sample((length + i) / rate) * (1 - mix);
+    }
+
+    return buffer;
+}
+
+/**
+ * Servo whine: a motor tone that rises and falls as the joint moves, with
+ * a little gear hiss.
+ */
+export function createServoWhirr(context) {
+    const duration = 3;
+    let phase = 0;
+    let hiss  = 0;
+
+    return renderLoop(context, duration, (t) => {
+        const move = 0.5 - 0.5 * Math.cos(2 * Math.PI * t / duration);   // 0 → 1 → 0 over the loop
+        phase += 2 * Math.PI * (150 + 120 * move) / context.sampleRate;
+        hiss  += ((Math.random() * 2 - 1) - hiss) * 0.3;
+
+        const tone = Math.sin(phase) * 0.6 + Math.sin(phase * 2) * 0.25 + Math.sin(phase * 3) * 0.1;
+        return (tone * (0.25 + 0.75 * move) + hiss * 0.15 * move) * 0.5;
+    });
+}
+
+/**
+ * Crowd murmur: low, softly swelling noise, like a stand full of people
+ * talking at once.
+ */
+export function createCrowdMurmur(context) {
+    const duration = 6;
+    let low  = 0;
+    let band = 0;
+
+    return renderLoop(context, duration, (t) => {
+        const white = Math.random() * 2 - 1;
+        low  += (white - low)  * 0.04;    // rumble
+        band += (white - band) * 0.25;    // voices
+
+        const swell = 0.7 + 0.2 * Math.sin(2 * Math.PI * t / 3) + 0.1 * Math.sin(2 * Math.PI * t / 2);
+        return ((band - low) * 0.5 + low * 1.5) * swell * 0.6;
+    });
+}
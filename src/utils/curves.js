@@ -0,0 +1,33 @@
+/**
+ * curves.js
+ * Helpers for the THREE.Curve paths scenes walk and ride along.
+ */
+
+import * as THREE from 'three';
+
+const SAMPLES = 200;
+
+/**
+ * Fraction (0–1, by arc length) of `curve` closest to (x, z) in the XZ
+ * plane: coarse samples, then a finer pass around the best one.
+ */
+export function closestPointT(curve, x, z) {
+    let best     = 0;
+    let bestDist = Infinity;
+    const consider = (t) => {
+        const p = curve.getPointAt(t);
+        const d = (p.x - x) ** 2 + (p.z - z) ** 2;
+        if (d < bestDist) {
+            best     = t;
+            bestDist = d;
+        }
+    };
+
+    for (let i = 0; i <= SAMPLES; i++) consider(i / SAMPLES);
+
+    const coarse = best;
+    for (let i = -10; i <= 10; i++) {
+        consider(THREE.MathUtils.clamp(coarse + i / (10 * SAMPLES), 0, 1));
+    }
+    return best;
+}
@@ -0,0 +1,15 @@
+/**
+ * input.js
+ * Keyboard helpers shared by movement and shortcuts.
+ */
+
+const FORM_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Whether the visitor is typing in a form field, so letter and arrow
+ * keys belong to the field rather than to walking or shortcuts.
+ */
+export function isTyping() {
+    const active = document.activeElement;
+    return Boolean(active && (FORM_TAGS.includes(active.tagName) || active.isContentEditable));
+}
@@ -0,0 +1,70 @@
+/**
+ * validation.js
+ * Field validators shared by the enrollment form and other in-world forms.
+ *
+ * Each validator takes the raw input string and returns an error message,
+ * or null when the value is valid.
+ */
+
+export const MIN_AGE = 7;
+export const MAX_AGE = 99;
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[\d\s\-()]{7,20}$/;
+const NAME_PATTERN  = /^[\p{L}\p{M}' .-]+$/u;
+
+export function validateName(value) {
+    const name = value.trim();
+    if (!name)                     return 'Please tell us your name.';
+    if (name.length < 2)           return 'Your name looks a little short.';
+    if (name.length > 60)          return 'Please keep your name under 60 characters.';
+    if (!NAME_PATTERN.test(name))  return 'Names can only contain letters, spaces, apostrophes and hyphens.';
+    return null;
+}
+
+export function validateAge(value) {
+    const text = String(value).trim();
+    if (!text)               return 'Please enter your age.';
+    if (!/^\d+$/.test(text)) return 'Age must be a whole number.';
+
+    const age = parseInt(text, 10);
+    if (age < MIN_AGE || age > MAX_AGE) return `Age must be between ${MIN_AGE} and ${MAX_AGE}.`;
+    return null;
+}
+
+export function validateEmail(value) {
+    const email = value.trim();
+    if (!email)                      return 'Please enter an email address.';
+    if (!EMAIL_PATTERN.test(email))  return 'That email address doesn\'t look right.';
+    return null;
+}
+
+/**
+ * Contact accepts either an email address or a phone number.
+ */
+export function validateContact(value) {
+    const contact = value.trim();
+    if (!contact) return 'Please give us an email or phone number.';
+
+    if (contact.includes('@')) return validateEmail(contact);
+
+    const digits = contact.replace(/\D/g, '');
+    if (!PHONE_PATTERN.test(contact) || digits.length < 7 || digits.length > 15) {
+        return 'Enter a valid email address or phone number.';
+    }
+    return null;
+}
+
+export function validateMessage(value) {
+    const message = value.trim();
+    if (!message)                              return 'Please write a message.';
+    if (message.length < 10)                   return 'Tell us a little more — at least 10 characters.';
+    if (message.length > MAX_MESSAGE_LENGTH)   return `Please keep it under ${MAX_MESSAGE_LENGTH} characters.`;
+    return null;
+}
+
+export function validateRequired(value, message = 'This field is required.') {
+    return String(value ?? '').trim() ? null : message;
+}